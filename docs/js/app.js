@@ -1,51 +1,185 @@
 /**
- * Main Application - Static Version for GitHub Pages
+ * Main Application
  * Initializes and coordinates all modules
  */
 
 (function() {
+  // Raw tree data, used to resolve URLs to nodes; cut branches are filled
+  // in as they load
+  let treeData = null;
+  
+  // Requests for cut branches in flight, by raw node
+  const branchRequests = new WeakMap();
+  
   /**
    * Initialize the application
    */
   async function init() {
     // Initialize modules
-    ContentDisplay.init();
-    TreeVisualization.init('tree-container', handleNodeSelect);
+    Theme.init('theme-select');
+    ContentDisplay.init({
+      onAnchorChange: Router.setAnchor
+    });
+    TreeVisualization.init('tree-container', handleNodeSelect, {
+      onStateChange: handleTreeStateChange,
+      loadChildren: (node, namePath) => loadBranch(node, namePath.map(Router.slugify))
+    });
+    SearchBox.init('search-input', 'search-results', {
+      onResults: handleSearchResults,
+      onOpen: handleSearchOpen
+    });
     
-    // Load tree data from static JSON
+    Router.init(handleNavigate);
+    
+    // Load tree data
     try {
-      const response = await fetch('./data/tree-structure.json');
-      const treeData = await response.json();
-      TreeVisualization.loadData(treeData);
+      treeData = await DataSource.getTree();
+      await TreeVisualization.loadData(treeData, {
+        initialPath: await getInitialPath(),
+        initialExpanded: await getInitialExpanded()
+      });
     } catch (error) {
       console.error('Failed to load tree data:', error);
     }
     
     // Set up global interactions
     setupGlobalInteractions();
+    
+    // Pick up edits to content and tree without a manual refresh
+    setupLiveReload();
   }
   
   /**
-   * Handle node selection from tree
+   * Fill in a cut branch's children from the DataSource, once
+   * @param {string[]} segments - URL segments of the branch
    */
-  function handleNodeSelect(slug, name) {
-    loadStaticContent(slug, name);
+  function loadBranch(node, segments) {
+    if (node.children || !node.hasChildren) return Promise.resolve();
+    
+    if (!branchRequests.has(node)) {
+      const request = DataSource.getChildren(segments).then(children => {
+        node.children = children;
+      });
+      // Let a failed request be retried
+      request.catch(() => branchRequests.delete(node));
+      branchRequests.set(node, request);
+    }
+    return branchRequests.get(node);
   }
   
   /**
-   * Load content from static JSON file
+   * Resolve URL segments to a name path, loading cut branches on the way
+   * @returns {Promise<string[]|null>} Name path, or null if not found
    */
-  async function loadStaticContent(slug, name) {
-    try {
-      const response = await fetch('./data/content/' + slug + '.json');
-      if (!response.ok) {
-        throw new Error('Content not found');
+  async function resolvePath(segments) {
+    let node = treeData;
+    const namePath = [];
+    
+    for (const [index, segment] of segments.entries()) {
+      try {
+        await loadBranch(node, segments.slice(0, index));
+      } catch (error) {
+        console.error('Failed to load branch:', error);
+        return null;
       }
-      const data = await response.json();
-      ContentDisplay.renderContentDirect(data, name);
-    } catch (error) {
-      console.error('Failed to load content:', error);
-      ContentDisplay.renderErrorDirect(name);
+      node = (node.children || []).find(child => Router.slugify(child.name) === segment);
+      if (!node) return null;
+      namePath.push(node.name);
+    }
+    
+    return namePath;
+  }
+  
+  /**
+   * Resolve the node the page URL points at
+   * Unknown node URLs fall back to the landing state
+   */
+  async function getInitialPath() {
+    const segments = Router.getSegments();
+    if (!segments) return null;
+    
+    const namePath = await resolvePath(segments);
+    if (!namePath) {
+      console.warn('No node found for URL:', window.location.pathname);
+      Router.replace([]);
+    }
+    return namePath;
+  }
+  
+  /**
+   * Resolve the expanded branches listed in the page URL, if the
+   * DataSource config enables it; they are always saved per browser too
+   */
+  async function getInitialExpanded() {
+    if (!DataSource.expandedInUrl) return null;
+    
+    const expanded = Router.getExpanded();
+    if (!expanded) return null;
+    const namePaths = await Promise.all(expanded.map(resolvePath));
+    return namePaths.filter(Boolean);
+  }
+  
+  /**
+   * Mirror the tree's expanded branches in the URL, if enabled
+   */
+  function handleTreeStateChange({ expanded }) {
+    if (DataSource.expandedInUrl) {
+      Router.setExpanded(expanded);
+    }
+  }
+  
+  /**
+   * Handle node selection from tree
+   */
+  function handleNodeSelect(slug, name, path) {
+    Router.push(path);
+    // Only the node already in the URL keeps its #section
+    ContentDisplay.loadContent(slug, name, { anchor: Router.getAnchor() });
+  }
+  
+  /**
+   * Handle back/forward navigation
+   */
+  async function handleNavigate(segments, state) {
+    if (state.closed) {
+      ContentDisplay.hide();
+      TreeVisualization.clearSelection();
+      return;
+    }
+    
+    const namePath = segments ? await resolvePath(segments) : [];
+    if (namePath) {
+      TreeVisualization.selectPath(namePath);
+    }
+  }
+  
+  /**
+   * Close the content panel and clear the selection
+   */
+  function closeContent() {
+    ContentDisplay.hide();
+    TreeVisualization.clearSelection();
+    Router.pushClosed();
+  }
+  
+  /**
+   * Highlight every tree location of the current search results
+   */
+  function handleSearchResults(results) {
+    const paths = results.reduce((all, result) => all.concat(result.paths), []);
+    TreeVisualization.highlightMatches(paths);
+  }
+  
+  /**
+   * Open a search result: select its node, or show the content directly
+   * when the file is not placed in the tree
+   */
+  function handleSearchOpen(result) {
+    if (result.paths.length > 0) {
+      TreeVisualization.selectPath(result.paths[0]);
+    } else {
+      TreeVisualization.clearSelection();
+      ContentDisplay.loadContent(result.slug, result.title);
     }
   }
   
@@ -53,27 +187,72 @@
    * Set up global click handlers and keyboard navigation
    */
   function setupGlobalInteractions() {
+    // Click outside content to close
     document.addEventListener('click', (event) => {
       const contentSection = document.getElementById('content-section');
       const treeSection = document.getElementById('tree-section');
       
+      // If click is outside both tree nodes and content, close content
       if (ContentDisplay.isVisible()) {
         const isInContent = contentSection.contains(event.target);
         const isInTree = treeSection.contains(event.target);
         
         if (!isInContent && !isInTree) {
-          ContentDisplay.hide();
-          TreeVisualization.clearSelection();
+          closeContent();
         }
       }
     });
     
+    // Escape key to close content
     document.addEventListener('keydown', (event) => {
       if (event.key === 'Escape' && ContentDisplay.isVisible()) {
+        closeContent();
+      }
+    });
+  }
+  
+  /**
+   * Refresh tree and content in place when the DataSource reports changes
+   */
+  function setupLiveReload() {
+    DataSource.subscribe({
+      tree: handleTreeChange,
+      content: handleContentChange
+    });
+  }
+  
+  /**
+   * Reload the tree, keeping the selection if its node still exists
+   */
+  async function handleTreeChange() {
+    try {
+      treeData = await DataSource.getTree();
+      await TreeVisualization.loadData(treeData);
+    } catch (error) {
+      console.error('Failed to reload tree data:', error);
+      return;
+    }
+    
+    // The open node may have been removed or pointed at another file
+    const selection = TreeVisualization.getSelection();
+    if (!selection || !selection.slug) {
+      if (ContentDisplay.isVisible()) {
         ContentDisplay.hide();
         TreeVisualization.clearSelection();
+        Router.replace([]);
       }
-    });
+    } else if (selection.slug !== ContentDisplay.getCurrentSlug()) {
+      ContentDisplay.loadContent(selection.slug, selection.name);
+    }
+  }
+  
+  /**
+   * Re-render the open content when its file changes
+   */
+  function handleContentChange({ slug }) {
+    if (slug === ContentDisplay.getCurrentSlug()) {
+      ContentDisplay.reload();
+    }
   }
   
   // Start app when DOM is ready
@@ -0,0 +1,159 @@
+/**
+ * Data Source Module
+ * Loads the tree, content and search results from wherever this deployment
+ * keeps them, so the rest of the frontend is the same everywhere
+ *
+ * INTERFACE (every source):
+ * - type                       'api' | 'inline' | 'static'
+ * - getTree()                  Tree structure; large trees may be cut, leaving
+ *                              hasChildren: true on nodes not yet loaded
+ * - getChildren(segments)      Children of the branch at URL segments
+ *                              (['making', 'experiments']), same format
+ * - getContent(slug)           Content record ({...frontmatter, content, raw,
+ *                              headings, wordCount, readingTime}); rejects
+ *                              with error.details for invalid files
+ * - list()                     [{slug, ...frontmatter}] for every content file
+ * - search(query, limit)       Ranked results from SearchEngine
+ * - subscribe(handlers)        Calls handlers.tree() and handlers.content({slug})
+ *                              when files change; only the api source has changes
+ * - expandedInUrl              Whether to keep the expanded branches in the URL
+ *                              (?open=...), from config.expandedInUrl
+ *
+ * SOURCES (chosen by window.__DATA_SOURCE__, written by the server and the
+ * build targets):
+ * - api      { type: 'api' } or no config: the Express server's /api
+ *            endpoints and /api/events; the tree is cut TREE_DEPTH levels
+ *            below the root
+ * - inline   { type: 'inline' }: the tree, content and search index are in
+ *            window.__SITE_DATA__ ({ tree, content, searchIndex }), set by
+ *            a data.js the page loads first and every page shares
+ * - static   { type: 'static', base: '/data' } JSON files next to the site,
+ *            with the tree sharded per branch like the api
+ */
+
+const DataSource = (function() {
+  // Levels below the root fetched up front from the api; keep in step with
+  // DEFAULT_DEPTH in server/tree.js
+  const TREE_DEPTH = 3;
+
+  /**
+   * Join URL segments into a path, each one encoded
+   */
+  function toPath(segments) {
+    return segments.map(encodeURIComponent).join('/');
+  }
+
+  /**
+   * Fetch JSON, raising errors with the server's details attached
+   */
+  async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.error || `Request failed: ${response.status} ${url}`);
+      error.details = body.details || [];
+      throw error;
+    }
+    return response.json();
+  }
+
+  /**
+   * Strip rendered fields from a content record, leaving its frontmatter
+   */
+  function toListEntry(slug, data) {
+    const { content, raw, headings, wordCount, readingTime, ...frontmatter } = data;
+    return { slug, ...frontmatter };
+  }
+
+  /**
+   * Sources built from files never change while the page is open
+   */
+  function noChanges() {}
+
+  /**
+   * The Express server
+   */
+  function createApiSource() {
+    return {
+      type: 'api',
+      getTree: () => fetchJson(`/api/tree?depth=${TREE_DEPTH}`),
+      getChildren: segments => fetchJson(`/api/tree/children?path=${toPath(segments)}`),
+      getContent: slug => fetchJson(`/api/content/${encodeURIComponent(slug)}`),
+      list: () => fetchJson('/api/content'),
+      search: async (query, limit) => {
+        const data = await fetchJson(`/api/search?q=${encodeURIComponent(query)}&limit=${limit}`);
+        return data.results;
+      },
+      subscribe: (handlers) => {
+        if (!window.EventSource) return;
+        const events = new EventSource('/api/events');
+        for (const [event, handler] of Object.entries(handlers)) {
+          events.addEventListener(event, message => handler(JSON.parse(message.data)));
+        }
+      }
+    };
+  }
+
+  /**
+   * Data loaded with the page by the static build
+   */
+  function createInlineSource(data) {
+    return {
+      type: 'inline',
+      getTree: async () => data.tree,
+      getChildren: async (segments) => {
+        let node = data.tree;
+        for (const segment of segments) {
+          node = (node.children || []).find(child => Router.slugify(child.name) === segment);
+          if (!node) throw new Error(`Branch not found: ${segments.join('/')}`);
+        }
+        return node.children || [];
+      },
+      getContent: async (slug) => {
+        const record = data.content[slug];
+        if (!record) throw new Error(`Content not found: ${slug}`);
+        return record;
+      },
+      list: async () => Object.keys(data.content).sort().map(slug => toListEntry(slug, data.content[slug])),
+      search: async (query, limit) => SearchEngine.search(data.searchIndex, query, { limit }),
+      subscribe: noChanges
+    };
+  }
+
+  /**
+   * JSON files written by the GitHub Pages build
+   */
+  function createStaticSource(config) {
+    const base = config.base || '/data';
+    let searchIndexPromise = null;
+
+    return {
+      type: 'static',
+      getTree: () => fetchJson(`${base}/tree.json`),
+      getChildren: segments => fetchJson(`${base}/tree/${segments.map(s => `${encodeURIComponent(s)}/`).join('')}children.json`),
+      getContent: slug => fetchJson(`${base}/content/${encodeURIComponent(slug)}.json`),
+      list: () => fetchJson(`${base}/content.json`),
+      search: async (query, limit) => {
+        // Fetched on first search; retried if it fails
+        if (!searchIndexPromise) {
+          searchIndexPromise = fetchJson(`${base}/search-index.json`);
+          searchIndexPromise.catch(() => { searchIndexPromise = null; });
+        }
+        return SearchEngine.search(await searchIndexPromise, query, { limit });
+      },
+      subscribe: noChanges
+    };
+  }
+
+  function createSource(config) {
+    switch (config.type) {
+      case 'inline': return createInlineSource(window.__SITE_DATA__);
+      case 'static': return createStaticSource(config);
+      default: return createApiSource();
+    }
+  }
+
+  const config = window.__DATA_SOURCE__ || { type: 'api' };
+
+  return { ...createSource(config), expandedInUrl: config.expandedInUrl === true };
+})();
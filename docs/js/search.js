@@ -0,0 +1,164 @@
+/**
+ * Search Box Module
+ * Queries the search index as you type and lists ranked results
+ */
+
+const SearchBox = (function() {
+  // Configuration
+  const config = {
+    debounce: 150,        // Delay after typing before querying, in ms
+    minLength: 2,         // Minimum query length
+    limit: 8              // Maximum results shown
+  };
+
+  // DOM Elements
+  let input;
+  let resultsList;
+
+  // State
+  let results = [];
+  let activeIndex = -1;
+  let debounceTimer = null;
+  let latestQuery = '';
+  let callbacks = {};
+
+  /**
+   * Initialize the search box
+   * @param {Object} handlers - onResults(results), onOpen(result), and an
+   *   optional query(query, limit) returning results; defaults to
+   *   DataSource.search
+   */
+  function init(inputId, resultsId, handlers) {
+    input = document.getElementById(inputId);
+    resultsList = document.getElementById(resultsId);
+    callbacks = handlers || {};
+
+    if (!input || !resultsList) return;
+
+    input.addEventListener('input', () => {
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(() => runQuery(input.value), config.debounce);
+    });
+
+    input.addEventListener('keydown', handleKeydown);
+
+    resultsList.addEventListener('click', (event) => {
+      const item = event.target.closest('[data-index]');
+      if (item) openResult(parseInt(item.dataset.index, 10));
+    });
+  }
+
+  /**
+   * Fetch and display results for a query
+   */
+  async function runQuery(value) {
+    const query = value.trim();
+    latestQuery = query;
+
+    if (query.length < config.minLength) {
+      setResults([]);
+      return;
+    }
+
+    try {
+      const queryFn = callbacks.query || DataSource.search;
+      const newResults = await queryFn(query, config.limit);
+
+      // Ignore responses to queries the user has already typed past
+      if (query !== latestQuery) return;
+      setResults(newResults);
+    } catch (error) {
+      console.error('Error searching:', error);
+      setResults([]);
+    }
+  }
+
+  /**
+   * Store results, render them and notify listeners
+   */
+  function setResults(newResults) {
+    results = newResults;
+    activeIndex = results.length > 0 ? 0 : -1;
+    render();
+
+    if (callbacks.onResults) callbacks.onResults(results);
+  }
+
+  /**
+   * Render the results list
+   * Snippets arrive from the search engine HTML-escaped, with matches in <mark>
+   */
+  function render() {
+    resultsList.innerHTML = results.map((result, i) => `
+      <li class="search-result${i === activeIndex ? ' search-result--active' : ''}" data-index="${i}" role="option">
+        <span class="search-result-title"></span>
+        <span class="search-result-path"></span>
+        <span class="search-result-snippet">${result.snippet}</span>
+      </li>
+    `).join('');
+
+    // Title and path are plain text
+    resultsList.querySelectorAll('.search-result').forEach((item, i) => {
+      const result = results[i];
+      item.querySelector('.search-result-title').textContent = result.title;
+      item.querySelector('.search-result-path').textContent =
+        result.paths.length > 0 ? result.paths[0].join(' › ') : '';
+    });
+
+    resultsList.classList.toggle('visible', results.length > 0);
+
+    if (latestQuery.length >= config.minLength && results.length === 0) {
+      resultsList.innerHTML = '<li class="search-empty">No matches</li>';
+      resultsList.classList.add('visible');
+    }
+  }
+
+  /**
+   * Handle arrow keys, Enter and Escape in the input
+   */
+  function handleKeydown(event) {
+    if (event.key === 'ArrowDown' && results.length > 0) {
+      event.preventDefault();
+      activeIndex = (activeIndex + 1) % results.length;
+      render();
+    } else if (event.key === 'ArrowUp' && results.length > 0) {
+      event.preventDefault();
+      activeIndex = (activeIndex - 1 + results.length) % results.length;
+      render();
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      openResult(activeIndex === -1 ? 0 : activeIndex);
+    } else if (event.key === 'Escape') {
+      // Keep the global Escape handler from closing open content
+      event.stopPropagation();
+      clear();
+    }
+  }
+
+  /**
+   * Open a result by index
+   */
+  function openResult(index) {
+    const result = results[index];
+    if (!result) return;
+
+    resultsList.classList.remove('visible');
+    if (callbacks.onOpen) callbacks.onOpen(result);
+  }
+
+  /**
+   * Clear the query and results
+   */
+  function clear() {
+    clearTimeout(debounceTimer);
+    input.value = '';
+    latestQuery = '';
+    setResults([]);
+  }
+
+  // Public API
+  return {
+    init,
+    clear
+  };
+})();
@@ -0,0 +1,103 @@
+/**
+ * Theme Module
+ * Picks the color theme: the visitor's choice, saved per browser, or the
+ * system's prefers-color-scheme until they choose. The theme is set as
+ * data-theme on <html>; the colors themselves are the tokens in themes.css.
+ *
+ * Loaded in <head>, before the stylesheets apply, so pages never flash the
+ * wrong theme. Modules that draw with colors outside CSS (the canvas tree)
+ * listen for the 'themechange' event on document.
+ *
+ * API:
+ * - init(selectId)     Fill and wire the theme menu
+ * - get()              Applied theme: 'light' | 'dark' | 'high-contrast'
+ * - getChoice()        'auto' or a theme name
+ * - set(choice)        Apply and save a choice
+ */
+
+const Theme = (function() {
+  const THEMES = {
+    light: 'Light',
+    dark: 'Dark',
+    'high-contrast': 'High contrast'
+  };
+  const AUTO = 'auto';
+  const STORAGE_KEY = 'theme';
+
+  const darkQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+  /**
+   * Read the saved choice; storage may be unavailable (private mode)
+   */
+  function getChoice() {
+    try {
+      const choice = localStorage.getItem(STORAGE_KEY);
+      return choice in THEMES ? choice : AUTO;
+    } catch {
+      return AUTO;
+    }
+  }
+
+  function get() {
+    return document.documentElement.dataset.theme;
+  }
+
+  /**
+   * Resolve a choice to a theme and apply it, announcing changes
+   */
+  function apply(choice) {
+    const theme = choice === AUTO
+      ? (darkQuery && darkQuery.matches ? 'dark' : 'light')
+      : choice;
+    if (theme === get()) return;
+
+    document.documentElement.dataset.theme = theme;
+    document.dispatchEvent(new CustomEvent('themechange', { detail: { theme } }));
+  }
+
+  function set(choice) {
+    if (choice !== AUTO && !(choice in THEMES)) return;
+    try {
+      if (choice === AUTO) {
+        localStorage.removeItem(STORAGE_KEY);
+      } else {
+        localStorage.setItem(STORAGE_KEY, choice);
+      }
+    } catch {
+      // Applies for this page only
+    }
+    apply(choice);
+  }
+
+  /**
+   * Fill the theme menu with System and each theme
+   */
+  function init(selectId) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    const options = { [AUTO]: 'System', ...THEMES };
+    select.innerHTML = '';
+    for (const [value, label] of Object.entries(options)) {
+      select.appendChild(new Option(label, value));
+    }
+    select.value = getChoice();
+    select.addEventListener('change', () => set(select.value));
+  }
+
+  // Apply before first paint, then follow the system while on auto
+  apply(getChoice());
+  if (darkQuery) {
+    darkQuery.addEventListener('change', () => {
+      if (getChoice() === AUTO) apply(AUTO);
+    });
+  }
+
+  // Public API
+  return {
+    init,
+    get,
+    getChoice,
+    set
+  };
+})();
@@ -20,6 +20,45 @@
  * - 'expanded': Full tree expanded, about content shown
  * - 'path': Expand to specific node and show its content
  *   Use config.defaultPath to specify the path, e.g. ['Making', 'Experiments']
+ * 
+ * ZOOM & PAN:
+ * Drag to pan and scroll or pinch to zoom. Rows never get closer than
+ * config.rowSpacing, so large branches grow past the container instead of
+ * overlapping; a minimap then shows where the viewport is. Selecting a node
+ * centers it whenever the tree does not fit.
+ * 
+ * LAYOUTS:
+ * config.layout picks the initial layout; the layout menu next to the zoom
+ * buttons switches it at any time, keeping selection and expansion:
+ * - 'tree': Left-to-right tidy tree (default)
+ * - 'radial': Tidy tree around the root
+ * - 'cluster': Dendrogram, with all leaves lined up on the right
+ * - 'outline': Indented list, one node per row
+ * 
+ * SAVED STATE:
+ * Expanded branches and the selected node are saved in localStorage
+ * (config.persistState) and restored on the next visit in place of the
+ * landing state. Nodes are keyed by their name path, so the state survives
+ * edits elsewhere in tree-structure.json.
+ * 
+ * LAZY BRANCHES:
+ * Large trees arrive cut, with hasChildren: true on nodes whose children
+ * were left out. Those children are fetched through init's loadChildren
+ * option on first expand, or when a selection, search match or saved state
+ * needs them; the node shows as loading meanwhile.
+ * 
+ * CANVAS MODE:
+ * Above config.canvasThreshold visible nodes the tree is drawn to <canvas>
+ * by TreeCanvas (tree-canvas.js) instead of one SVG group per node. Layout,
+ * selection and keyboard handling stay here; clicks and hover find nodes
+ * through a quadtree. The minimap and per-node ARIA attributes are only
+ * available in SVG mode. The canvas is restyled on 'themechange' (theme.js).
+ * 
+ * EXPORT:
+ * The export menu next to the layout menu saves the tree as shown, as SVG
+ * or as PNG at config.exportScales, and prints the whole tree with every
+ * branch expanded on one page (print.css). TreeExport (tree-export.js)
+ * does the drawing; `npm run build -- export` does the same headlessly.
  * =============================================================================
  */
 
@@ -27,6 +66,17 @@ const TreeVisualization = (function() {
   // Configuration
   const config = {
     duration: 400,        // Animation duration in ms
+    rowSpacing: 22,       // Minimum vertical distance between nodes, in px
+    zoomExtent: [0.2, 3], // Minimum and maximum zoom scale
+    fitPadding: 20,       // Space kept around the tree by "fit to view", in px
+    minimapSize: 140,     // Longest minimap side, in px
+    canvasThreshold: 800, // Visible nodes above which the tree draws to canvas
+    layout: 'tree',       // 'tree', 'radial', 'cluster' or 'outline'
+    outlineIndent: 20,    // Indent per level in the outline layout, in px
+    persistState: true,   // Restore expansion and selection on the next visit
+    storageKey: 'tree-state',
+    exportScales: [1, 2, 4], // PNG sizes offered by the export menu
+    exportName: 'knowledge-tree', // File name of exports, without extension
     
     // ==========================================================================
     // DEFAULT LANDING STATE
@@ -78,11 +128,21 @@ const TreeVisualization = (function() {
   };
   
   // State
-  let svg, g, treemap, root;
+  let svg, zoomLayer, g, root;
+  let zoom, minimap, layoutSelect;
+  let renderer;
+  let canvasMode = false;
+  let radialCenter = { x: 0, y: 0 };
   let currentWidth, currentHeight;
   let selectedNode = null;
   let onNodeSelect = null;
+  let onStateChange = null;
+  let loadChildrenData = null;
+  let highlightRequest = 0;     // Latest highlightMatches call
   let isTreeExpanded = false;  // Track if tree has been expanded from initial state
+  let matchedKeys = new Set();  // Ids of nodes matching the current search
+  let activeIds = new Set();    // Ids of the selected node and its ancestors
+  let focusedNode = null;       // Node holding the roving tabindex
   
   /**
    * Get current breakpoint
@@ -94,10 +154,30 @@ const TreeVisualization = (function() {
     return 'mobile';
   }
   
+  // Bump when the saved state format changes; older saves are ignored
+  const STATE_VERSION = 1;
+  
+  // Layouts offered by the layout menu, in menu order
+  const LAYOUTS = {
+    tree: 'Tree',
+    radial: 'Radial',
+    cluster: 'Dendrogram',
+    outline: 'Outline'
+  };
+  
   /**
-   * Get current margin based on screen width and tree state
+   * Get current margin based on screen width, tree state and layout
    */
   function getCurrentMargin() {
+    const margin = getBreakpointMargin();
+    // Outline labels all sit right of their nodes
+    return config.layout === 'outline' ? { ...margin, left: margin.top } : margin;
+  }
+  
+  /**
+   * Get the configured margin for the current breakpoint and tree state
+   */
+  function getBreakpointMargin() {
     const breakpoint = getBreakpoint();
     
     if (breakpoint === 'desktop') {
@@ -150,7 +230,7 @@ const TreeVisualization = (function() {
       const textEl = d3.select(this).select('text');
       const bgEl = d3.select(this).select('.label-bg');
       
-      if (breakpoint === 'mobile' && maxVisibleDepth > 1) {
+      if (breakpoint === 'mobile' && maxVisibleDepth > 1 && !hasLabelAfter(root)) {
         textEl.style('opacity', 0);
         bgEl.style('opacity', 0);
       } else {
@@ -171,15 +251,56 @@ const TreeVisualization = (function() {
   
   /**
    * Initialize the tree visualization
+   * @param {Object} options - onStateChange: called with
+   *   {expanded, selected} name paths whenever either changes;
+   *   loadChildren(data, namePath): fills in data.children of a cut
+   *   branch, returning a promise
    */
-  function init(containerId, onSelect) {
+  function init(containerId, onSelect, options = {}) {
     onNodeSelect = onSelect;
+    onStateChange = options.onStateChange || null;
+    loadChildrenData = options.loadChildren || null;
     
     const container = document.getElementById(containerId);
     svg = d3.select(`#${containerId} svg`);
     
-    // Create main group for transforms
-    g = svg.append('g');
+    // Replace the server-rendered navigation list, if any
+    const treeNav = container.querySelector('.tree-nav');
+    if (treeNav) treeNav.remove();
+    
+    // Nodes are a flat list of treeitems; aria-level and aria-posinset
+    // carry the hierarchy
+    svg
+      .attr('role', 'tree')
+      .attr('aria-label', 'Knowledge tree');
+    
+    // Zoom and pan move the outer group; the inner group holds the margins
+    zoomLayer = svg.append('g').attr('class', 'tree-zoom');
+    g = zoomLayer.append('g').attr('id', 'tree-layer');
+    
+    zoom = d3.zoom()
+      .scaleExtent(config.zoomExtent)
+      .on('zoom', (event) => {
+        zoomLayer.attr('transform', event.transform);
+        if (canvasMode) renderer.setTransform(event.transform, getCurrentMargin());
+        updateMinimap();
+      });
+    svg.call(zoom).on('dblclick.zoom', null);
+    
+    renderer = TreeCanvas.create(container, {
+      linkPath,
+      labelAfter: hasLabelAfter,
+      getState: getCanvasState
+    });
+    setupCanvasEvents();
+    
+    // SVG nodes follow the theme through CSS; the canvas reads colors once
+    document.addEventListener('themechange', () => {
+      if (canvasMode) renderer.restyle();
+    });
+    
+    createControls(container);
+    minimap = createMinimap(container);
     
     // Set up resize observer
     const resizeObserver = new ResizeObserver(entries => {
@@ -205,11 +326,7 @@ const TreeVisualization = (function() {
     
     svg.attr('width', width).attr('height', height);
     g.attr('transform', `translate(${margin.left}, ${margin.top})`);
-    
-    treemap = d3.tree().size([
-      height - margin.top - margin.bottom,
-      width - margin.left - margin.right
-    ]);
+    renderer.resize(width, height);
     
     if (root) {
       update(root);
@@ -218,27 +335,318 @@ const TreeVisualization = (function() {
   
   /**
    * Load and render tree data
+   * When a tree is already shown (live reload), the current expansion
+   * state and selection are carried over instead of the landing state
+   * Otherwise expansion comes from options.initialExpanded, the saved
+   * state or the landing state, in that order
+   * @param {Object} options - initialPath: name path (root excluded) to
+   *   select instead of the saved or landing selection, e.g. from the URL;
+   *   initialExpanded: name paths of the nodes to show expanded
+   * @returns {Promise} Settles once cut branches the restored state needs
+   *   are loaded and the selection is made
    */
-  function loadData(data) {
+  async function loadData(data, options = {}) {
+    const previousState = root ? captureState() : null;
+    focusedNode = null;
+    
     root = d3.hierarchy(data, d => d.children);
     root.x0 = currentHeight / 2;
     root.y0 = 0;
     
-    // Assign unique IDs
-    let i = 0;
-    root.descendants().forEach(d => {
-      d.id = i++;
-    });
+    assignKeys();
     
-    // Apply default landing state
-    applyDefaultLandingState();
+    if (previousState) {
+      restoreState(previousState);
+      update(root);
+      await loadExpanded(previousState.expanded);
+      
+      // The selection may sit in a branch that had to be loaded again
+      if (previousState.selectedPath && !selectedNode) {
+        selectedNode = findNodeByPath(root, previousState.selectedPath);
+        if (selectedNode) update(root);
+      }
+      return;
+    }
+    
+    const saved = loadSavedState();
+    let expanded = null;
+    if (options.initialExpanded) {
+      const nodes = options.initialExpanded.map(p => findNodeByPath(root, p)).filter(Boolean);
+      expanded = new Set(nodes.map(d => d.id));
+    } else if (saved) {
+      expanded = new Set(saved.expanded);
+    }
+    
+    if (expanded) {
+      applyExpansion(expanded);
+      isTreeExpanded = !isCollapsed();
+    } else {
+      applyDefaultLandingState();
+    }
     
     update(root);
+    if (expanded) await loadExpanded(expanded);
+    
+    // Deep links win over the saved and configured landing selection
+    if (options.initialPath) {
+      await selectPath(options.initialPath);
+      return;
+    }
+    
+    // The last visit may have ended with nothing selected
+    if (saved) {
+      if (saved.selected) await selectPath(saved.selected);
+      return;
+    }
     
     // If landing state specifies a path or expanded, select appropriate node
     applyDefaultSelection();
   }
   
+  /**
+   * Give every node a stable id from its name path, so state saved against
+   * it survives edits elsewhere in the tree
+   * Siblings sharing a name are numbered in order: "Notes", "Notes #2"
+   */
+  function assignKeys() {
+    root.id = '';
+    root.each(d => assignChildKeys(d, d.children || []));
+  }
+  
+  /**
+   * Give a node's children their ids
+   */
+  function assignChildKeys(d, children) {
+    const seen = new Map();
+    children.forEach(child => {
+      const name = child.data.name;
+      const count = (seen.get(name) || 0) + 1;
+      seen.set(name, count);
+      const key = count > 1 ? `${name} #${count}` : name;
+      child.id = d.id ? `${d.id} > ${key}` : key;
+    });
+  }
+  
+  /**
+   * Check whether a node's children were cut and not loaded yet
+   */
+  function isUnloaded(d) {
+    return !d.children && !d._children && !!d.data.hasChildren;
+  }
+  
+  /**
+   * Fetch a cut branch and attach its children, collapsed
+   * Concurrent calls share one request; failures leave the branch cut so
+   * the next expand retries
+   */
+  function loadChildren(d) {
+    if (!isUnloaded(d)) return Promise.resolve();
+    
+    if (!d.loading) {
+      const request = d.data.children || !loadChildrenData
+        ? Promise.resolve()
+        : loadChildrenData(d.data, getNodePath(d));
+      d.loading = request
+        .then(() => attachChildren(d))
+        .catch(error => console.error('Failed to load branch:', error))
+        .finally(() => {
+          d.loading = null;
+          refreshNodes();
+        });
+      refreshNodes();
+    }
+    return d.loading;
+  }
+  
+  /**
+   * Build hierarchy nodes for children added to a node's data
+   */
+  function attachChildren(d) {
+    const children = (d.data.children || []).map(data => {
+      const child = d3.hierarchy(data, n => n.children);
+      child.each(n => { n.depth += d.depth + 1; });
+      child.parent = d;
+      return child;
+    });
+    
+    if (children.length === 0) {
+      d.data.hasChildren = false;
+      return;
+    }
+    
+    assignChildKeys(d, children);
+    children.forEach(child => child.each(n => assignChildKeys(n, n.children || [])));
+    children.forEach(collapse);
+    d._children = children;
+  }
+  
+  /**
+   * Load cut branches whose ids are in the expanded set and expand them,
+   * level by level
+   */
+  async function loadExpanded(expanded) {
+    let branches = root.descendants().filter(d => isUnloaded(d) && expanded.has(d.id));
+    if (branches.length === 0) return;
+    
+    while (branches.length > 0) {
+      await Promise.all(branches.map(loadChildren));
+      
+      const next = [];
+      branches.forEach(function expand(d) {
+        if (d._children && expanded.has(d.id)) {
+          d.children = d._children;
+          d._children = null;
+        }
+        (d.children || []).forEach(expand);
+        if (isUnloaded(d) && expanded.has(d.id)) next.push(d);
+      });
+      
+      // Branches that failed to load are not retried here
+      branches = next.filter(d => !branches.includes(d));
+    }
+    
+    update(root);
+  }
+  
+  /**
+   * Load the cut branches along a name path (root excluded)
+   */
+  async function loadPath(pathArray) {
+    let node = root;
+    for (const name of pathArray) {
+      await loadChildren(node);
+      node = (node.children || node._children || []).find(c => c.data.name === name);
+      if (!node) return;
+    }
+  }
+  
+  /**
+   * Re-apply node classes and ARIA state after selection or loading changes
+   */
+  function refreshNodes() {
+    if (!g) return;
+    activeIds = getActivePathIds();
+    if (canvasMode) {
+      renderer.draw();
+      return;
+    }
+    g.selectAll('.node').attr('class', n => getNodeClass(n));
+    updateAria(g.selectAll('.node'));
+  }
+  
+  /**
+   * Collapse every node whose id is not in the expanded set
+   * Expects a freshly loaded hierarchy, where every node is expanded
+   */
+  function applyExpansion(expanded) {
+    root.descendants().reverse().forEach(d => {
+      if (d.children && !expanded.has(d.id)) {
+        d._children = d.children;
+        d.children = null;
+      }
+    });
+  }
+  
+  /**
+   * Get the ids of all expanded nodes, hidden ones included
+   */
+  function getExpandedIds() {
+    const ids = [];
+    (function visit(d) {
+      if (d.children) ids.push(d.id);
+      (d.children || d._children || []).forEach(visit);
+    })(root);
+    return ids;
+  }
+  
+  /**
+   * Read the state saved by a previous visit, or null if there is none
+   */
+  function loadSavedState() {
+    if (!config.persistState) return null;
+    try {
+      const state = JSON.parse(localStorage.getItem(config.storageKey));
+      return state && state.version === STATE_VERSION ? state : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * Save expansion and selection, and report them to onStateChange
+   */
+  function saveState() {
+    if (!root) return;
+    const selected = selectedNode ? getNodePath(selectedNode) : null;
+    
+    if (config.persistState) {
+      const state = { version: STATE_VERSION, expanded: getExpandedIds(), selected };
+      try {
+        localStorage.setItem(config.storageKey, JSON.stringify(state));
+      } catch {
+        // Storage disabled or full; the state just is not remembered
+      }
+    }
+    
+    if (onStateChange) {
+      const expanded = root.descendants().filter(d => d.children).map(getNodePath);
+      onStateChange({ expanded, selected });
+    }
+  }
+  
+  /**
+   * Get the path of names from root to a node (root excluded)
+   */
+  function getNodePath(d) {
+    return d.ancestors().reverse().slice(1).map(a => a.data.name);
+  }
+  
+  /**
+   * Capture expansion state, selection and positions keyed by node id
+   */
+  function captureState() {
+    const expanded = new Set();
+    const positions = new Map();
+    
+    root.descendants().forEach(d => {
+      if (d.children) expanded.add(d.id);
+      positions.set(d.id, { x0: d.x0, y0: d.y0 });
+    });
+    
+    return {
+      expanded,
+      positions,
+      selectedPath: selectedNode ? getNodePath(selectedNode) : null,
+      focusedPath: focusedNode ? getNodePath(focusedNode) : null,
+      isTreeExpanded
+    };
+  }
+  
+  /**
+   * Re-apply captured state to a freshly loaded hierarchy
+   */
+  function restoreState(state) {
+    root.descendants().forEach(d => {
+      const position = state.positions.get(d.id);
+      if (position) {
+        d.x0 = position.x0;
+        d.y0 = position.y0;
+      }
+    });
+    
+    // Collapse nodes that were not expanded before (new nodes stay visible
+    // only if their parent was expanded)
+    applyExpansion(state.expanded);
+    
+    isTreeExpanded = state.isTreeExpanded;
+    selectedNode = state.selectedPath
+      ? findNodeByPath(root, state.selectedPath)
+      : null;
+    focusedNode = state.focusedPath
+      ? findNodeByPath(root, state.focusedPath)
+      : null;
+  }
+  
   /**
    * Apply the default landing state (collapsed, expanded, or path)
    */
@@ -278,11 +686,8 @@ const TreeVisualization = (function() {
         setTimeout(() => selectNode(root), config.duration + 50);
       }
     } else if (config.defaultLanding === 'path' && config.defaultPath.length > 0) {
-      // Find and select the node at the end of the path
-      const targetNode = findNodeByPath(root, config.defaultPath);
-      if (targetNode && hasContent(targetNode)) {
-        setTimeout(() => selectNode(targetNode), config.duration + 50);
-      }
+      // Select the node at the end of the path, loading cut branches on it
+      setTimeout(() => selectPath(config.defaultPath), config.duration + 50);
     }
   }
   
@@ -362,11 +767,28 @@ const TreeVisualization = (function() {
     }
   }
   
+  /**
+   * Toggle a node and redraw, loading a cut branch first
+   */
+  function toggleNode(d) {
+    if (!isUnloaded(d)) {
+      toggle(d);
+      update(d);
+      return;
+    }
+    
+    loadChildren(d).then(() => {
+      if (!d._children) return;
+      toggle(d);
+      update(d);
+    });
+  }
+  
   /**
    * Check if node is a leaf
    */
   function isLeaf(d) {
-    return !d.children && !d._children;
+    return !d.children && !d._children && !d.data.hasChildren;
   }
   
   /**
@@ -399,14 +821,22 @@ const TreeVisualization = (function() {
       classes.push('node--parent');
     }
     
-    if (d._children) {
+    if (d._children || isUnloaded(d)) {
       classes.push('node--has-children');
     }
     
+    if (d.loading) {
+      classes.push('node--loading');
+    }
+    
     if (selectedNode && isOnActivePath(d)) {
       classes.push('node--active');
     }
     
+    if (matchedKeys.has(d.id)) {
+      classes.push('node--match');
+    }
+    
     return classes.join(' ');
   }
   
@@ -414,9 +844,14 @@ const TreeVisualization = (function() {
    * Check if node is on the active path
    */
   function isOnActivePath(d) {
-    if (!selectedNode) return false;
-    const ancestors = selectedNode.ancestors();
-    return ancestors.some(a => a.id === d.id);
+    return activeIds.has(d.id);
+  }
+  
+  /**
+   * Get the ids of the selected node and its ancestors
+   */
+  function getActivePathIds() {
+    return new Set(selectedNode ? selectedNode.ancestors().map(a => a.id) : []);
   }
   
   /**
@@ -424,12 +859,12 @@ const TreeVisualization = (function() {
    */
   function handleNodeClick(event, d) {
     event.stopPropagation();
+    focusedNode = d;
     
     // If this is the first click on collapsed root, just expand
     if (isRoot(d) && isCollapsed()) {
       isTreeExpanded = true;
-      toggle(d);
-      update(d);
+      toggleNode(d);
       return;
     }
     
@@ -439,10 +874,123 @@ const TreeVisualization = (function() {
     }
     
     // If node has children, toggle expansion
-    if (d.children || d._children) {
-      toggle(d);
-      update(d);
+    if (!isLeaf(d)) {
+      toggleNode(d);
+    }
+  }
+  
+  /**
+   * Set ARIA state and the roving tabindex on node elements
+   * Only one node (the focused one, else the selection, else the root)
+   * is in the tab order
+   */
+  function updateAria(selection) {
+    const tabStop = focusedNode || selectedNode || root;
+    
+    selection
+      .attr('aria-label', d => d.data.name)
+      .attr('aria-level', d => d.depth + 1)
+      .attr('aria-setsize', d => d.parent ? d.parent.children.length : 1)
+      .attr('aria-posinset', d => d.parent ? d.parent.children.indexOf(d) + 1 : 1)
+      .attr('aria-expanded', d => isLeaf(d) ? null : String(!!d.children))
+      .attr('aria-busy', d => d.loading ? 'true' : null)
+      .attr('aria-selected', d => hasContent(d) ? String(d === selectedNode) : null)
+      .attr('tabindex', d => d === tabStop ? 0 : -1);
+  }
+  
+  /**
+   * Make a node the tab stop, optionally moving DOM focus to it
+   */
+  function setFocusedNode(d, moveFocus = false) {
+    focusedNode = d;
+    
+    if (canvasMode) {
+      if (moveFocus) {
+        svg.node().focus();
+        if (!isInView(d)) centerOnNode(d, true);
+      }
+      renderer.draw();
+      return;
+    }
+    
+    const nodes = g.selectAll('.node');
+    nodes.attr('tabindex', n => n === d ? 0 : -1);
+    
+    if (moveFocus) {
+      const element = nodes.filter(n => n === d).node();
+      if (element) element.focus();
+      if (!isInView(d)) centerOnNode(d, true);
+    }
+  }
+  
+  /**
+   * Get visible nodes in reading order (depth-first, top to bottom)
+   */
+  function getVisibleNodes() {
+    const visible = [];
+    (function visit(d) {
+      visible.push(d);
+      if (d.children) d.children.forEach(visit);
+    })(root);
+    return visible;
+  }
+  
+  /**
+   * Handle keyboard navigation on a focused node (WAI-ARIA tree pattern)
+   * - Up/Down: previous/next visible node
+   * - Right: expand, or move to the first child when expanded
+   * - Left: collapse, or move to the parent when collapsed or a leaf
+   * - Home/End: first/last visible node
+   * - Enter/Space: select the node, or toggle it when it has no content
+   */
+  function handleNodeKeydown(event, d) {
+    const visible = getVisibleNodes();
+    const index = visible.indexOf(d);
+    let target = null;
+    
+    switch (event.key) {
+      case 'ArrowDown':
+        target = visible[index + 1];
+        break;
+      case 'ArrowUp':
+        target = visible[index - 1];
+        break;
+      case 'Home':
+        target = visible[0];
+        break;
+      case 'End':
+        target = visible[visible.length - 1];
+        break;
+      case 'ArrowRight':
+        if (d._children || isUnloaded(d)) {
+          if (isRoot(d)) isTreeExpanded = true;
+          toggleNode(d);
+        } else if (d.children) {
+          target = d.children[0];
+        }
+        break;
+      case 'ArrowLeft':
+        if (d.children) {
+          toggleNode(d);
+        } else if (d.parent) {
+          target = d.parent;
+        }
+        break;
+      case 'Enter':
+      case ' ':
+        if (hasContent(d)) {
+          selectNode(d);
+        } else if (!isLeaf(d)) {
+          toggleNode(d);
+        }
+        break;
+      default:
+        return;
     }
+    
+    event.preventDefault();
+    event.stopPropagation();
+    if (target) setFocusedNode(target, true);
   }
   
   /**
@@ -452,14 +1000,19 @@ const TreeVisualization = (function() {
     selectedNode = d;
     
     // Update all node classes
-    g.selectAll('.node').attr('class', n => getNodeClass(n));
+    refreshNodes();
     
     // Update link classes with delay
     updateActivePath();
     
+    // Center after any expansion triggered by the same click is laid out
+    setTimeout(() => centerOnNode(d), 0);
+    
+    saveState();
+    
     // Callback to load content
     if (onNodeSelect && d.data.slug) {
-      onNodeSelect(d.data.slug, d.data.name);
+      onNodeSelect(d.data.slug, d.data.name, getNodePath(d));
     }
   }
   
@@ -467,17 +1020,53 @@ const TreeVisualization = (function() {
    * Update the active path highlighting
    */
   function updateActivePath() {
-    if (!selectedNode) {
-      g.selectAll('.link').classed('link--active', false);
-      return;
-    }
+    g.selectAll('.link').classed('link--active', d => activeIds.has(d.id));
+  }
+  
+  /**
+   * Highlight search matches, expanding the ancestors of each match
+   * @param {Array<string[]>} paths - Name paths (root excluded); empty clears
+   */
+  async function highlightMatches(paths) {
+    if (!root) return;
     
-    const ancestors = selectedNode.ancestors();
-    const ancestorIds = new Set(ancestors.map(a => a.id));
+    // Only the latest results apply once their branches are loaded
+    const request = ++highlightRequest;
+    await Promise.all(paths.map(loadPath));
+    if (request !== highlightRequest) return;
     
-    g.selectAll('.link').classed('link--active', function(d) {
-      return ancestorIds.has(d.id) && d.parent && ancestorIds.has(d.parent.id);
-    });
+    const matches = paths.map(p => findNodeByPath(root, p)).filter(Boolean);
+    matchedKeys = new Set(matches.map(d => d.id));
+    paths.forEach(p => expandPath(root, p));
+    if (paths.length > 0) isTreeExpanded = true;
+    
+    update(root);
+  }
+  
+  /**
+   * Expand the tree to a node and select it
+   * @param {string[]} pathArray - Name path (root excluded)
+   */
+  async function selectPath(pathArray) {
+    if (!root) return;
+    
+    await loadPath(pathArray);
+    expandPath(root, pathArray);
+    isTreeExpanded = true;
+    update(root);
+    
+    const node = findNodeByPath(root, pathArray);
+    if (node && hasContent(node)) {
+      selectNode(node);
+    }
+  }
+  
+  /**
+   * Get the slug and name of the selected node, if any
+   */
+  function getSelection() {
+    if (!selectedNode) return null;
+    return { slug: selectedNode.data.slug, name: selectedNode.data.name };
   }
   
   /**
@@ -485,8 +1074,205 @@ const TreeVisualization = (function() {
    */
   function clearSelection() {
     selectedNode = null;
-    g.selectAll('.node').attr('class', n => getNodeClass(n));
+    refreshNodes();
     g.selectAll('.link').classed('link--active', false);
+    saveState();
+  }
+  
+  /**
+   * Get the tree's bounding box in zoom-layer coordinates
+   */
+  function getContentBounds() {
+    const box = canvasMode ? renderer.getBounds() : g.node().getBBox();
+    const margin = getCurrentMargin();
+    return {
+      x: box.x + margin.left,
+      y: box.y + margin.top,
+      width: box.width,
+      height: box.height
+    };
+  }
+  
+  /**
+   * Get the visible area in zoom-layer coordinates
+   */
+  function getViewBounds() {
+    const t = d3.zoomTransform(svg.node());
+    return {
+      x: -t.x / t.k,
+      y: -t.y / t.k,
+      width: currentWidth / t.k,
+      height: currentHeight / t.k
+    };
+  }
+  
+  /**
+   * Check whether the whole tree is visible
+   */
+  function isTreeInView() {
+    const content = getContentBounds();
+    const view = getViewBounds();
+    return content.x >= view.x && content.y >= view.y &&
+      content.x + content.width <= view.x + view.width &&
+      content.y + content.height <= view.y + view.height;
+  }
+  
+  /**
+   * Check whether a node is inside the visible area
+   */
+  function isInView(d) {
+    const margin = getCurrentMargin();
+    const view = getViewBounds();
+    const x = margin.left + d.y;
+    const y = margin.top + d.x;
+    return x >= view.x && x <= view.x + view.width &&
+      y >= view.y && y <= view.y + view.height;
+  }
+  
+  /**
+   * Pan so a node is in the middle of the container, keeping the zoom level
+   * Skipped when the whole tree already fits, unless forced
+   */
+  function centerOnNode(d, force = false) {
+    if (!d || d.x === undefined) return;
+    if (!force && isTreeInView()) return;
+    
+    const margin = getCurrentMargin();
+    svg.transition()
+      .duration(config.duration)
+      .call(zoom.translateTo, margin.left + d.y, margin.top + d.x);
+  }
+  
+  /**
+   * Zoom and pan so the whole tree fits the container
+   */
+  function fitToView() {
+    const content = getContentBounds();
+    if (!content.width || !content.height) return;
+    
+    const padding = config.fitPadding;
+    const scale = Math.min(
+      1,
+      (currentWidth - padding * 2) / content.width,
+      (currentHeight - padding * 2) / content.height
+    );
+    const k = Math.max(config.zoomExtent[0], scale);
+    const transform = d3.zoomIdentity
+      .translate(currentWidth / 2, currentHeight / 2)
+      .scale(k)
+      .translate(-(content.x + content.width / 2), -(content.y + content.height / 2));
+    
+    svg.transition().duration(config.duration).call(zoom.transform, transform);
+  }
+  
+  /**
+   * Add the zoom control buttons, the layout menu and the export menu
+   */
+  function createControls(container) {
+    const controls = document.createElement('div');
+    controls.className = 'tree-controls';
+    controls.innerHTML = `
+      <button type="button" class="tree-control" data-action="zoom-in" aria-label="Zoom in">+</button>
+      <button type="button" class="tree-control" data-action="zoom-out" aria-label="Zoom out">−</button>
+      <button type="button" class="tree-control" data-action="fit" aria-label="Fit tree to view">Fit</button>
+      <select class="tree-control tree-layout" aria-label="Layout">
+        ${Object.entries(LAYOUTS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+      </select>
+      <select class="tree-control tree-export" aria-label="Export">
+        <option value="">Export</option>
+        <option value="svg">SVG</option>
+        ${config.exportScales.map(scale => `<option value="png-${scale}">PNG ${scale}×</option>`).join('')}
+        <option value="print">Print</option>
+      </select>
+    `;
+    
+    layoutSelect = controls.querySelector('.tree-layout');
+    layoutSelect.value = config.layout;
+    layoutSelect.addEventListener('change', () => setLayout(layoutSelect.value));
+    
+    // The menu runs an action and goes back to its label
+    const exportSelect = controls.querySelector('.tree-export');
+    exportSelect.addEventListener('change', () => {
+      const action = exportSelect.value;
+      exportSelect.value = '';
+      
+      let result;
+      if (action === 'svg') {
+        result = downloadSvg();
+      } else if (action === 'print') {
+        result = printTree();
+      } else if (action.startsWith('png-')) {
+        result = downloadPng(Number(action.slice(4)));
+      }
+      if (result) result.catch(error => console.error('Export failed:', error));
+    });
+    
+    controls.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-action]');
+      if (!button) return;
+      event.stopPropagation();
+      
+      const action = button.dataset.action;
+      if (action === 'fit') {
+        fitToView();
+      } else {
+        svg.transition()
+          .duration(config.duration / 2)
+          .call(zoom.scaleBy, action === 'zoom-in' ? 1.25 : 0.8);
+      }
+    });
+    
+    container.appendChild(controls);
+  }
+  
+  /**
+   * Add the minimap: a scaled copy of the tree with the viewport outlined
+   * Clicking it centers the view on that point
+   */
+  function createMinimap(container) {
+    const map = d3.select(container)
+      .append('svg')
+      .attr('class', 'tree-minimap')
+      .attr('aria-hidden', 'true');
+    
+    map.append('use').attr('href', '#tree-layer');
+    const viewport = map.append('rect').attr('class', 'tree-minimap-viewport');
+    
+    map.on('click', (event) => {
+      event.stopPropagation();
+      const [x, y] = d3.pointer(event, map.node());
+      svg.transition().duration(config.duration).call(zoom.translateTo, x, y);
+    });
+    
+    return { map, viewport };
+  }
+  
+  /**
+   * Show the minimap while part of the tree is out of view
+   */
+  function updateMinimap() {
+    if (!minimap || !root) return;
+    
+    const content = getContentBounds();
+    const hidden = canvasMode || !content.width || isTreeInView();
+    minimap.map.classed('visible', !hidden);
+    if (hidden) return;
+    
+    const view = getViewBounds();
+    const scale = config.minimapSize / Math.max(content.width, content.height);
+    minimap.map
+      .attr('viewBox', `${content.x} ${content.y} ${content.width} ${content.height}`)
+      .attr('width', Math.round(content.width * scale))
+      .attr('height', Math.round(content.height * scale));
+    
+    // Clip the viewport outline to the tree so it stays inside the map
+    const x = Math.max(view.x, content.x);
+    const y = Math.max(view.y, content.y);
+    minimap.viewport
+      .attr('x', x)
+      .attr('y', y)
+      .attr('width', Math.max(0, Math.min(view.x + view.width, content.x + content.width) - x))
+      .attr('height', Math.max(0, Math.min(view.y + view.height, content.y + content.height) - y));
   }
   
   /**
@@ -508,23 +1294,49 @@ const TreeVisualization = (function() {
       .duration(config.duration)
       .attr('transform', `translate(${margin.left}, ${margin.top})`);
     
-    // Update treemap
-    treemap = d3.tree().size([
-      currentHeight - margin.top - margin.bottom,
-      currentWidth - margin.left - margin.right
-    ]);
+    layoutNodes(
+      currentWidth - margin.left - margin.right,
+      currentHeight - margin.top - margin.bottom
+    );
+    
+    const nodes = root.descendants();
+    activeIds = getActivePathIds();
+    
+    // Keep keyboard focus on a visible node
+    if (focusedNode && !nodes.includes(focusedNode)) {
+      focusedNode = focusedNode.ancestors().find(a => nodes.includes(a)) || root;
+    }
     
-    const treeData = treemap(root);
-    const nodes = treeData.descendants();
-    const links = treeData.descendants().slice(1);
+    setCanvasMode(nodes.length > config.canvasThreshold);
+    if (canvasMode) {
+      renderer.setTransform(d3.zoomTransform(svg.node()), margin);
+      renderer.render(nodes, source, config.duration);
+    } else {
+      renderSvg(nodes, source);
+    }
     
-    // Normalize depth
-    const maxDepth = d3.max(nodes, d => d.depth) || 1;
-    const depthWidth = (currentWidth - margin.left - margin.right) / Math.max(maxDepth, 4);
+    // Store positions
     nodes.forEach(d => {
-      d.y = d.depth * depthWidth;
+      d.x0 = d.x;
+      d.y0 = d.y;
     });
     
+    // Update UI states
+    updateRootLabelVisibility();
+    updateCollapsedState();
+    
+    // Measure once the transition has settled
+    setTimeout(updateMinimap, config.duration + 20);
+    
+    saveState();
+  }
+  
+  /**
+   * Draw laid-out nodes and links as SVG, animating from the source node
+   */
+  function renderSvg(nodes, source) {
+    const links = nodes.slice(1);
+    
     // ===== SINGLE LINKS (rounded caps) =====
     const link = g.selectAll('.link')
       .data(links, d => d.id);
@@ -532,33 +1344,22 @@ const TreeVisualization = (function() {
     const linkEnter = link.enter()
       .insert('path', 'g')
       .attr('class', 'link')
-      .attr('d', () => {
-        const o = { x: source.x0, y: source.y0 };
-        return diagonal(o, o);
-      });
+      .attr('d', () => pointPath({ x: source.x0, y: source.y0 }));
     
     const linkUpdate = linkEnter.merge(link);
     
     linkUpdate
       .transition()
       .duration(config.duration)
-      .attr('d', d => diagonal(d, d.parent));
+      .attr('d', d => linkPath(d, d.parent));
     
     // Update active state
-    linkUpdate.classed('link--active', d => {
-      if (!selectedNode) return false;
-      const ancestors = selectedNode.ancestors();
-      const ancestorIds = new Set(ancestors.map(a => a.id));
-      return ancestorIds.has(d.id) && d.parent && ancestorIds.has(d.parent.id);
-    });
+    linkUpdate.classed('link--active', d => activeIds.has(d.id));
     
     link.exit()
       .transition()
       .duration(config.duration)
-      .attr('d', () => {
-        const o = { x: source.x, y: source.y };
-        return diagonal(o, o);
-      })
+      .attr('d', () => pointPath({ x: source.x, y: source.y }))
       .remove();
     
     // ===== NODES =====
@@ -570,7 +1371,10 @@ const TreeVisualization = (function() {
       .attr('class', d => getNodeClass(d))
       .attr('transform', `translate(${source.y0},${source.x0})`)
       .style('opacity', 0)
-      .on('click', handleNodeClick);
+      .attr('role', 'treeitem')
+      .on('click', handleNodeClick)
+      .on('keydown', handleNodeKeydown)
+      .on('focus', (event, d) => setFocusedNode(d));
     
     // Get radius based on collapsed state
     const getNodeRadius = (d) => {
@@ -585,27 +1389,19 @@ const TreeVisualization = (function() {
       .attr('class', 'node-shape')
       .attr('r', d => getNodeRadius(d));
     
-    // Add white background rect behind text
+    // Add background rect behind text, hiding the links beneath
     nodeEnter.append('rect')
       .attr('class', 'label-bg')
-      .attr('fill', 'white')
       .attr('rx', 1)
       .attr('ry', 1);
     
-    // Add labels
+    // Add labels, measured once; only their side changes later
     nodeEnter.append('text')
       .attr('dy', '.35em')
-      .attr('x', d => (isLeaf(d) && !isRoot(d)) ? 12 : -12)
-      .attr('text-anchor', d => (isLeaf(d) && !isRoot(d)) ? 'start' : 'end')
       .text(d => d.data.name)
       .each(function(d) {
-        const padding = getCSSVar('--label-bg-padding', 1);
         const bbox = this.getBBox();
-        d3.select(this.parentNode).select('.label-bg')
-          .attr('x', bbox.x - padding)
-          .attr('y', bbox.y - padding)
-          .attr('width', bbox.width + padding * 2)
-          .attr('height', bbox.height + padding * 2);
+        d.labelBox = { y: bbox.y, width: bbox.width, height: bbox.height };
       });
     
     // Update
@@ -617,15 +1413,23 @@ const TreeVisualization = (function() {
       .style('opacity', 1);
     
     nodeUpdate.attr('class', d => getNodeClass(d));
+    updateAria(nodeUpdate);
     
     // Update circle radius based on collapsed state
     nodeUpdate.select('.node-shape')
       .attr('r', d => getNodeRadius(d));
     
-    // Update text position
+    // Update text position; the layout decides which side labels go
     nodeUpdate.select('text')
-      .attr('x', d => (isLeaf(d) && !isRoot(d)) ? 12 : -12)
-      .attr('text-anchor', d => (isLeaf(d) && !isRoot(d)) ? 'start' : 'end');
+      .attr('x', d => hasLabelAfter(d) ? 12 : -12)
+      .attr('text-anchor', d => hasLabelAfter(d) ? 'start' : 'end');
+    
+    const padding = getCSSVar('--label-bg-padding', 1);
+    nodeUpdate.select('.label-bg')
+      .attr('x', d => (hasLabelAfter(d) ? 12 : -12 - d.labelBox.width) - padding)
+      .attr('y', d => d.labelBox.y - padding)
+      .attr('width', d => d.labelBox.width + padding * 2)
+      .attr('height', d => d.labelBox.height + padding * 2);
     
     // Exit
     node.exit()
@@ -634,26 +1438,301 @@ const TreeVisualization = (function() {
       .attr('transform', `translate(${source.y},${source.x})`)
       .style('opacity', 0)
       .remove();
+  }
+  
+  /**
+   * Switch between SVG and canvas drawing; the renderer taking over starts
+   * from an empty layer
+   */
+  function setCanvasMode(enabled) {
+    if (enabled === canvasMode) return;
+    canvasMode = enabled;
     
-    // Store positions
-    nodes.forEach(d => {
-      d.x0 = d.x;
-      d.y0 = d.y;
+    g.selectAll('*').remove();
+    renderer.clear();
+    svg
+      .classed('tree-svg--canvas', enabled)
+      .attr('tabindex', enabled ? 0 : null);
+  }
+  
+  /**
+   * Route clicks, hover and keys on the SVG to the canvas nodes under them
+   * The SVG stays on top in canvas mode to receive zoom and pointer events
+   */
+  function setupCanvasEvents() {
+    const nodeAt = (event) => {
+      const [x, y] = d3.zoomTransform(svg.node()).invert(d3.pointer(event, svg.node()));
+      const margin = getCurrentMargin();
+      return renderer.find(x - margin.left, y - margin.top);
+    };
+    
+    svg
+      .on('click.canvas', (event) => {
+        if (!canvasMode) return;
+        const d = nodeAt(event);
+        if (d) handleNodeClick(event, d);
+      })
+      .on('mousemove.canvas', (event) => {
+        if (!canvasMode) return;
+        const d = nodeAt(event);
+        renderer.setHovered(d);
+        svg.classed('tree-svg--pointer', !!d);
+      })
+      .on('mouseleave.canvas', () => {
+        if (canvasMode) renderer.setHovered(null);
+      })
+      .on('keydown.canvas', (event) => {
+        if (canvasMode) handleNodeKeydown(event, focusedNode || root);
+      })
+      .on('focus.canvas blur.canvas', () => {
+        if (canvasMode) renderer.draw();
+      });
+  }
+  
+  /**
+   * Describe a node for the canvas renderer, as getNodeClass does for SVG
+   */
+  function getCanvasState(d) {
+    return {
+      root: isRoot(d),
+      collapsedRoot: isRoot(d) && isCollapsed(),
+      active: activeIds.has(d.id),
+      match: matchedKeys.has(d.id),
+      focused: d === focusedNode && document.activeElement === svg.node(),
+      loading: !!d.loading
+    };
+  }
+  
+  /**
+   * Position the visible nodes for config.layout
+   * Every layout leaves pixel positions in d.x (vertical) and d.y
+   * (horizontal), so transitions, centering and the minimap work the same
+   */
+  function layoutNodes(width, height) {
+    switch (config.layout) {
+      case 'radial': return layoutRadial(width, height);
+      case 'cluster': return layoutLayered(d3.cluster(), width, height);
+      case 'outline': return layoutOutline();
+      default: return layoutLayered(d3.tree(), width, height);
+    }
+  }
+  
+  /**
+   * Left-to-right layout for d3.tree or d3.cluster
+   * Fits the container, unless that would put rows closer than
+   * config.rowSpacing; then it keeps that spacing and overflows
+   */
+  function layoutLayered(layout, width, height) {
+    layout.nodeSize([config.rowSpacing, 1])(root);
+    const [minX, maxX] = d3.extent(root.descendants(), d => d.x);
+    
+    if (maxX - minX > height) {
+      root.each(d => { d.x -= minX; });
+    } else {
+      layout.size([height, width])(root);
+    }
+    
+    // Normalize depth; the dendrogram lines its leaves up at the deepest level
+    const maxDepth = d3.max(root.descendants(), d => d.depth) || 1;
+    const depthWidth = width / Math.max(maxDepth, 4);
+    root.each(d => {
+      const depth = config.layout === 'cluster' && !d.children ? maxDepth : d.depth;
+      d.y = depth * depthWidth;
     });
+  }
+  
+  /**
+   * Tidy tree around the root, with leaves on the outer ring
+   * The radius grows past the container when leaves would be closer than
+   * config.rowSpacing
+   */
+  function layoutRadial(width, height) {
+    const maxDepth = d3.max(root.descendants(), d => d.depth) || 1;
+    const minRadius = root.leaves().length * config.rowSpacing / (2 * Math.PI);
+    const radius = Math.max(Math.min(width, height) / 2, minRadius);
+    const ringWidth = radius / Math.max(maxDepth, 2);
     
-    // Update UI states
-    updateRootLabelVisibility();
-    updateCollapsedState();
+    radialCenter = {
+      x: Math.max(height / 2, radius),
+      y: Math.max(width / 2, radius)
+    };
+    
+    d3.tree()
+      .size([2 * Math.PI, radius])
+      .separation((a, b) => (a.parent === b.parent ? 1 : 2) / a.depth)(root);
+    
+    root.each(d => {
+      d.angle = d.x;
+      d.radius = d.depth * ringWidth;
+      Object.assign(d, polarToPoint(d.angle, d.radius));
+    });
+  }
+  
+  /**
+   * Indented list, one visible node per row in document order
+   */
+  function layoutOutline() {
+    let row = 0;
+    root.eachBefore(d => {
+      d.x = row++ * config.rowSpacing;
+      d.y = d.depth * config.outlineIndent;
+    });
+  }
+  
+  /**
+   * Convert an angle (0 = up, clockwise) and radius around the radial center
+   */
+  function polarToPoint(angle, radius) {
+    return {
+      x: radialCenter.x + radius * Math.sin(angle - Math.PI / 2),
+      y: radialCenter.y + radius * Math.cos(angle - Math.PI / 2)
+    };
+  }
+  
+  /**
+   * Check whether a node's label goes after (right of) the node
+   */
+  function hasLabelAfter(d) {
+    switch (config.layout) {
+      case 'outline': return true;
+      case 'radial': return !isRoot(d) && d.angle <= Math.PI;
+      default: return isLeaf(d) && !isRoot(d);
+    }
+  }
+  
+  /**
+   * Generate the link path from a node to its parent for config.layout
+   * Every layout draws one cubic curve, so links animate between layouts
+   */
+  function linkPath(s, d) {
+    switch (config.layout) {
+      case 'radial': {
+        const r = (s.radius + d.radius) / 2;
+        return curve(s, polarToPoint(s.angle, r), polarToPoint(d.angle, r), d);
+      }
+      case 'outline': {
+        const corner = { x: s.x, y: d.y };
+        return curve(s, corner, corner, d);
+      }
+      default: {
+        const y = (s.y + d.y) / 2;
+        return curve(s, { x: s.x, y }, { x: d.x, y }, d);
+      }
+    }
+  }
+  
+  /**
+   * Generate a zero-length link at a point, for links entering and leaving
+   */
+  function pointPath(o) {
+    return curve(o, o, o, o);
+  }
+  
+  /**
+   * Generate a cubic curve path between two points via two control points
+   */
+  function curve(s, c1, c2, d) {
+    return `M ${s.y} ${s.x} C ${c1.y} ${c1.x}, ${c2.y} ${c2.x}, ${d.y} ${d.x}`;
+  }
+  
+  /**
+   * Switch to another layout, animating nodes and links into place
+   */
+  function setLayout(name) {
+    if (!LAYOUTS[name]) return;
+    config.layout = name;
+    if (layoutSelect) layoutSelect.value = name;
+    if (!root) return;
+    
+    update(root);
+    setTimeout(() => centerOnNode(selectedNode), config.duration + 20);
+  }
+  
+  /**
+   * Get the current layout name
+   */
+  function getLayout() {
+    return config.layout;
+  }
+  
+  /**
+   * Export the tree as shown: the live SVG, or in canvas mode the same
+   * nodes drawn by TreeExport
+   * @returns {Promise<Object>} { svg, width, height }
+   */
+  async function exportSvg() {
+    const style = TreeCanvas.readStyle();
+    if (!canvasMode) {
+      return TreeExport.serialize(svg.node(), { bounds: getContentBounds(), background: style.background });
+    }
+    return TreeExport.renderNodes(root.descendants(), {
+      linkPath,
+      labelAfter: hasLabelAfter,
+      active: d => activeIds.has(d.id),
+      measure: text => renderer.measure(text, false),
+      style,
+      fontCss: await TreeExport.getFontCss()
+    });
+  }
+  
+  async function downloadSvg() {
+    const image = await exportSvg();
+    TreeExport.download(new Blob([image.svg], { type: 'image/svg+xml' }), `${config.exportName}.svg`);
+  }
+  
+  /**
+   * Download the tree as shown as a PNG
+   * @param {number} scale - Pixels per CSS pixel
+   */
+  async function downloadPng(scale = 1) {
+    const png = await TreeExport.toPng(await exportSvg(), scale);
+    TreeExport.download(png, `${config.exportName}@${scale}x.png`);
+  }
+  
+  /**
+   * Load every cut branch below a node's data
+   */
+  async function loadAllData(data, namePath = []) {
+    if (!data.children && data.hasChildren && loadChildrenData) {
+      await loadChildrenData(data, namePath);
+    }
+    await Promise.all((data.children || []).map(child => loadAllData(child, [...namePath, child.name])));
+  }
+  
+  /**
+   * Draw the whole loaded tree, every branch expanded, into the print view
+   * Printed in the light theme's colors whatever the page's theme
+   */
+  function preparePrint() {
+    if (!root) return;
+    
+    let view = document.querySelector('.tree-print');
+    if (!view) {
+      view = document.createElement('div');
+      view.className = 'tree-print';
+      view.setAttribute('aria-hidden', 'true');
+      document.body.appendChild(view);
+    }
+    
+    const style = TreeCanvas.readStyle();
+    view.innerHTML = TreeExport.render(root.data, {
+      measure: text => renderer.measure(text, false),
+      style: { fontFamily: style.fontFamily, fontSize: style.fontSize }
+    }).svg;
   }
   
   /**
-   * Generate diagonal path (curved line)
+   * Print the whole tree on one page, loading cut branches first
+   * Only this print shows the tree (print.css); the class comes off after
    */
-  function diagonal(s, d) {
-    return `M ${s.y} ${s.x}
-            C ${(s.y + d.y) / 2} ${s.x},
-              ${(s.y + d.y) / 2} ${d.x},
-              ${d.y} ${d.x}`;
+  async function printTree() {
+    await loadAllData(root.data);
+    preparePrint();
+    document.body.classList.add('printing-tree');
+    window.addEventListener('afterprint', () => {
+      document.body.classList.remove('printing-tree');
+    }, { once: true });
+    window.print();
   }
   
   // Public API
@@ -661,6 +1740,16 @@ const TreeVisualization = (function() {
     init,
     loadData,
     selectNode,
-    clearSelection
+    selectPath,
+    fitToView,
+    setLayout,
+    getLayout,
+    highlightMatches,
+    getSelection,
+    clearSelection,
+    exportSvg,
+    downloadSvg,
+    downloadPng,
+    printTree
   };
 })();
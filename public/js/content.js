@@ -1,31 +1,52 @@
 /**
  * Content Display Module
  * Handles loading and rendering of Markdown content in table format
+ *
+ * SECTIONS:
+ * Headings arrive with ids (server/content.js). Each gets a link that copies
+ * its URL (/n/...#id); documents with TOC_MIN_HEADINGS or more get a table
+ * of contents that follows the reader's scroll position. Opening content
+ * with an anchor scrolls to that heading.
  */
 
 const ContentDisplay = (function() {
+  const TOC_MIN_HEADINGS = 2;  // Fewer headings get no table of contents
+  const TOC_MAX_LEVEL = 3;     // Deepest heading level listed
+  const SPY_OFFSET = 80;       // A heading this far from the top is current, in px
+  const COPIED_DURATION = 1500;
+  
   // DOM Elements
   let contentSection;
   let contentTitle;
   let contentMeta;
   let contentDescription;
   let contentImageContainer;
+  let contentToc;
   let contentBody;
   let contentFooter;
   let treeSection;
   
   // State
   let currentSlug = null;
+  let currentName = null;
+  let onAnchorChange = null;
+  let spyFrame = null;
   
   /**
    * Initialize the content display
+   * @param {Object} options
+   * @param {Function} options.onAnchorChange - Called with a heading id when
+   *   the reader jumps to or copies a section
    */
-  function init() {
+  function init(options = {}) {
+    onAnchorChange = options.onAnchorChange || null;
+    
     contentSection = document.getElementById('content-section');
     contentTitle = document.getElementById('content-title');
     contentMeta = document.getElementById('content-meta');
     contentDescription = document.getElementById('content-description');
     contentImageContainer = document.getElementById('content-image-container');
+    contentToc = document.getElementById('content-toc');
     contentBody = document.getElementById('content-body');
     contentFooter = document.getElementById('content-footer');
     treeSection = document.getElementById('tree-section');
@@ -37,58 +58,63 @@ const ContentDisplay = (function() {
       contentMeta: !!contentMeta,
       contentDescription: !!contentDescription,
       contentImageContainer: !!contentImageContainer,
+      contentToc: !!contentToc,
       contentBody: !!contentBody,
       contentFooter: !!contentFooter,
       treeSection: !!treeSection
     });
+    
+    if (contentToc) {
+      contentToc.addEventListener('click', handleTocClick);
+    }
+    if (contentBody) {
+      contentBody.addEventListener('click', handleAnchorClick);
+    }
+    window.addEventListener('scroll', scheduleScrollSpy, { passive: true });
   }
   
   /**
-   * Load and display content for a given slug
+   * Load and display content for a given slug from the DataSource
+   * @param {Object} options
+   * @param {string} options.anchor - Heading id to scroll to once shown
    */
-  async function loadContent(slug, name) {
+  async function loadContent(slug, name, options = {}) {
     console.log('loadContent called with slug:', slug, 'name:', name);
     
     try {
-      const url = `/api/content/${slug}`;
-      console.log('Fetching:', url);
-      
-      const response = await fetch(url);
-      console.log('Response status:', response.status);
-      
-      if (!response.ok) {
-        throw new Error(`Content not found: ${response.status}`);
-      }
-      
-      const data = await response.json();
+      const data = await DataSource.getContent(slug);
       console.log('Content data received:', data);
-      
+    
       renderContent(data, name);
       show();
       currentSlug = slug;
+      currentName = name;
+      
+      if (options.anchor) {
+        scrollToHeading(options.anchor, { smooth: false });
+      }
+      updateScrollSpy();
       
     } catch (error) {
       console.error('Error loading content:', error);
-      renderError(name);
+      renderError(name, error.details);
       show();
     }
   }
   
   /**
-   * Load content from pre-loaded data (static version)
+   * Re-fetch and re-render the currently open content, if any
    */
-  function loadContentStatic(slug, name) {
-    console.log('loadContentStatic called with slug:', slug);
-    
-    if (window.__CONTENT_DATA__ && window.__CONTENT_DATA__[slug]) {
-      const data = window.__CONTENT_DATA__[slug];
-      renderContent(data, name);
-      show();
-      currentSlug = slug;
-    } else {
-      renderError(name);
-      show();
-    }
+  function reload() {
+    if (!currentSlug || !isVisible()) return;
+    return loadContent(currentSlug, currentName);
+  }
+  
+  /**
+   * Get the slug of the currently open content
+   */
+  function getCurrentSlug() {
+    return currentSlug;
   }
   
   /**
@@ -107,14 +133,18 @@ const ContentDisplay = (function() {
       const metaItems = [];
       
       if (data.date) {
-        metaItems.push(`<span class="content-meta-item">${formatDate(data.date)}</span>`);
+        metaItems.push(`<span class="content-meta-item">${escapeHtml(formatDate(data.date))}</span>`);
       }
       
       if (data.collaborators && data.collaborators.length > 0) {
         const collabList = Array.isArray(data.collaborators) 
           ? data.collaborators.join(', ')
           : data.collaborators;
-        metaItems.push(`<span class="content-meta-item">${collabList}</span>`);
+        metaItems.push(`<span class="content-meta-item">${escapeHtml(collabList)}</span>`);
+      }
+      
+      if (data.wordCount) {
+        metaItems.push(`<span class="content-meta-item">${escapeHtml(formatReadingTime(data))}</span>`);
       }
       
       contentMeta.innerHTML = metaItems.join('');
@@ -146,7 +176,7 @@ const ContentDisplay = (function() {
     // Image - only show if image is specified
     if (contentImageContainer) {
       if (data.image && data.image !== 'null' && data.image !== '') {
-        contentImageContainer.innerHTML = `<img src="${data.image}" alt="${data.title}" class="content-image">`;
+        contentImageContainer.innerHTML = `<img src="${escapeHtml(data.image)}" alt="${escapeHtml(data.title || fallbackName)}" class="content-image">`;
         contentImageContainer.style.display = 'flex';
       } else {
         // Hide the image container completely if no image
@@ -155,9 +185,14 @@ const ContentDisplay = (function() {
       }
     }
     
-    // Remaining body content
+    // Remaining body content, sanitized by the server or build
     if (contentBody) {
       contentBody.innerHTML = data.content || '';
+      addHeadingAnchors();
+    }
+    
+    if (contentToc) {
+      contentToc.innerHTML = renderToc(data.headings || []);
     }
     
     // References and Resources in footer
@@ -165,7 +200,7 @@ const ContentDisplay = (function() {
       let footerHtml = '';
       
       if (data.references && data.references.length > 0) {
-        const refList = data.references.map(ref => `<li>${ref}</li>`).join('');
+        const refList = data.references.map(ref => `<li>${escapeHtml(ref)}</li>`).join('');
         footerHtml += `
           <div class="content-references">
             <span class="content-references-label">references</span>
@@ -178,10 +213,15 @@ const ContentDisplay = (function() {
         const resList = data.resources.map(res => {
           // If it looks like a URL, make it a link
           if (res.startsWith('http')) {
-            const domain = new URL(res).hostname.replace('www.', '');
-            return `<li><a href="${res}" target="_blank">${domain}</a></li>`;
+            try {
+              const url = new URL(res);
+              if (url.protocol === 'http:' || url.protocol === 'https:') {
+                const domain = url.hostname.replace('www.', '');
+                return `<li><a href="${escapeHtml(res)}" target="_blank" rel="noopener">${escapeHtml(domain)}</a></li>`;
+              }
+            } catch {}
           }
-          return `<li>${res}</li>`;
+          return `<li>${escapeHtml(res)}</li>`;
         }).join('');
         footerHtml += `
           <div class="content-resources">
@@ -199,12 +239,14 @@ const ContentDisplay = (function() {
   
   /**
    * Render error state
+   * @param {string[]} details - Validation errors to list, if any
    */
-  function renderError(name) {
+  function renderError(name, details = []) {
     console.log('renderError called for:', name);
     
     if (contentTitle) contentTitle.textContent = name || 'Not Found';
     if (contentMeta) contentMeta.innerHTML = '';
+    if (contentToc) contentToc.innerHTML = '';
     if (contentDescription) {
       contentDescription.textContent = 'Content could not be loaded.';
       contentDescription.style.display = 'block';
@@ -212,29 +254,170 @@ const ContentDisplay = (function() {
     if (contentImageContainer) {
       contentImageContainer.innerHTML = `
         <svg class="content-placeholder" viewBox="0 0 120 100" fill="none" xmlns="http://www.w3.org/2000/svg">
-          <rect x="10" y="10" width="100" height="80" rx="4" stroke="#888" stroke-width="2" fill="none"/>
-          <path d="M10 70 L40 45 L60 60 L85 35 L110 55 L110 90 L10 90 Z" fill="#bbb"/>
-          <circle cx="35" cy="35" r="10" fill="#bbb"/>
+          <rect class="content-placeholder-frame" x="10" y="10" width="100" height="80" rx="4" stroke-width="2"/>
+          <path class="content-placeholder-shape" d="M10 70 L40 45 L60 60 L85 35 L110 55 L110 90 L10 90 Z"/>
+          <circle class="content-placeholder-shape" cx="35" cy="35" r="10"/>
         </svg>
       `;
     }
-    if (contentBody) contentBody.innerHTML = '';
+    if (contentBody) {
+      contentBody.innerHTML = '';
+      if (details.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'content-errors';
+        details.forEach(detail => {
+          const item = document.createElement('li');
+          item.textContent = detail;
+          list.appendChild(item);
+        });
+        contentBody.appendChild(list);
+      }
+    }
     if (contentFooter) contentFooter.innerHTML = '';
   }
   
+  /**
+   * Give each heading with an id a link that copies its URL
+   */
+  function addHeadingAnchors() {
+    contentBody.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]').forEach(heading => {
+      const link = document.createElement('a');
+      link.className = 'heading-anchor';
+      link.href = `#${encodeURIComponent(heading.id)}`;
+      link.textContent = '#';
+      link.setAttribute('aria-label', `Copy link to section: ${heading.textContent}`);
+      heading.appendChild(link);
+    });
+  }
+  
+  /**
+   * Render the table of contents, or nothing for short documents
+   * @param {Array} headings - { id, level, text } from the content record
+   */
+  function renderToc(headings) {
+    const listed = headings.filter(heading => heading.level <= TOC_MAX_LEVEL);
+    if (listed.length < TOC_MIN_HEADINGS) return '';
+    
+    const topLevel = Math.min(...listed.map(heading => heading.level));
+    const items = listed.map(heading => `
+      <li class="content-toc-item content-toc-item--depth-${heading.level - topLevel}">
+        <a href="#${escapeHtml(encodeURIComponent(heading.id))}" data-id="${escapeHtml(heading.id)}">${escapeHtml(heading.text)}</a>
+      </li>
+    `).join('');
+    return `<ol class="content-toc-list">${items}</ol>`;
+  }
+  
+  /**
+   * Find a heading in the body by id
+   */
+  function findHeading(id) {
+    return contentBody ? contentBody.querySelector(`[id="${CSS.escape(id)}"]`) : null;
+  }
+  
+  /**
+   * Scroll a section's heading into view
+   * @returns {boolean} Whether the heading exists
+   */
+  function scrollToHeading(id, { smooth = true } = {}) {
+    const heading = findHeading(id);
+    if (!heading) return false;
+    heading.scrollIntoView({ behavior: smooth ? 'smooth' : 'auto', block: 'start' });
+    return true;
+  }
+  
+  function handleTocClick(event) {
+    const link = event.target.closest('a[data-id]');
+    if (!link) return;
+    event.preventDefault();
+    
+    const id = link.dataset.id;
+    if (scrollToHeading(id) && onAnchorChange) onAnchorChange(id);
+  }
+  
+  /**
+   * Copy a heading's URL and point the address bar at it
+   */
+  function handleAnchorClick(event) {
+    const link = event.target.closest('.heading-anchor');
+    if (!link) return;
+    event.preventDefault();
+    
+    const id = link.parentElement.id;
+    scrollToHeading(id);
+    if (onAnchorChange) onAnchorChange(id);
+    
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(link.href).then(() => {
+        link.classList.add('heading-anchor--copied');
+        setTimeout(() => link.classList.remove('heading-anchor--copied'), COPIED_DURATION);
+      }).catch(error => console.warn('Could not copy link:', error));
+    }
+  }
+  
+  function scheduleScrollSpy() {
+    if (spyFrame) return;
+    spyFrame = requestAnimationFrame(() => {
+      spyFrame = null;
+      updateScrollSpy();
+    });
+  }
+  
+  /**
+   * Mark the section being read in the table of contents: the last heading
+   * scrolled past SPY_OFFSET, else the first
+   */
+  function updateScrollSpy() {
+    if (!contentToc || !isVisible()) return;
+    const links = [...contentToc.querySelectorAll('a[data-id]')];
+    if (links.length === 0) return;
+    
+    let current = links[0];
+    for (const link of links) {
+      const heading = findHeading(link.dataset.id);
+      if (heading && heading.getBoundingClientRect().top <= SPY_OFFSET) current = link;
+    }
+    
+    links.forEach(link => {
+      if (link === current) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+  
+  /**
+   * Format the word count and reading time, e.g. "1,200 words · 6 min read"
+   */
+  function formatReadingTime({ wordCount, readingTime }) {
+    const words = `${wordCount.toLocaleString('en-US')} ${wordCount === 1 ? 'word' : 'words'}`;
+    return `${words} · ${readingTime} min read`;
+  }
+  
+  /**
+   * Escape text for interpolation into HTML
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+  
   /**
    * Format date for display
    */
   function formatDate(dateStr) {
     if (!dateStr) return '';
-    try {
-      const date = new Date(dateStr);
-      const month = date.toLocaleDateString('en-US', { month: 'long' });
-      const year = date.getFullYear();
-      return `${month} ${year}`;
-    } catch {
-      return dateStr;
-    }
+    // Dates are days (YYYY-MM-DD, parsed as UTC midnight), so read them in
+    // UTC as the server-rendered page does; local time shifts them a day
+    // back west of UTC
+    const date = new Date(dateStr);
+    if (isNaN(date)) return String(dateStr);
+    const month = date.toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' });
+    return `${month} ${date.getUTCFullYear()}`;
   }
   
   /**
@@ -260,6 +443,7 @@ const ContentDisplay = (function() {
     if (contentSection) contentSection.classList.remove('visible');
     if (treeSection) treeSection.classList.remove('has-content');
     currentSlug = null;
+    currentName = null;
   }
   
   /**
@@ -269,30 +453,13 @@ const ContentDisplay = (function() {
     return contentSection && contentSection.classList.contains('visible');
   }
   
-  /**
-   * Render content directly (for static version)
-   */
-  function renderContentDirect(data, name) {
-    renderContent(data, name);
-    show();
-  }
-  
-  /**
-   * Render error directly (for static version)
-   */
-  function renderErrorDirect(name) {
-    renderError(name);
-    show();
-  }
-  
   // Public API
   return {
     init,
     loadContent,
-    loadContentStatic,
+    reload,
+    getCurrentSlug,
     hide,
-    isVisible,
-    renderContentDirect,
-    renderErrorDirect
+    isVisible
   };
 })();
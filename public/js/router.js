@@ -0,0 +1,193 @@
+/**
+ * Router Module
+ * Maps tree nodes to shareable URLs and keeps browser history in sync
+ *
+ * URL FORMAT:
+ * - /                          Landing state (root content)
+ * - /n/making/experiments      Node at path Making > Experiments
+ * Each segment is the node name lowercased with non-alphanumerics as dashes.
+ *
+ * SECTIONS:
+ * - /n/making/experiments#next-steps
+ * A heading in the node's content, by the id the renderer gave it. Kept
+ * when the same node is selected again, dropped when another one is.
+ *
+ * EXPANDED BRANCHES (optional):
+ * - ?open=.,making,making/experiments
+ * Slug paths of the expanded nodes, "." for the root. Kept across
+ * navigation so a shared link opens the same branches.
+ */
+
+const Router = (function() {
+  const PREFIX = '/n/';
+  const OPEN_PARAM = 'open';
+  const ROOT_PATH = '.';
+
+  let onNavigate = null;
+
+  /**
+   * Initialize the router
+   * @param {Function} handler - Called on back/forward with (segments, state);
+   *   segments is null when the URL does not point at a node
+   */
+  function init(handler) {
+    onNavigate = handler;
+
+    window.addEventListener('popstate', (event) => {
+      if (onNavigate) onNavigate(getSegments(), event.state || {});
+    });
+  }
+
+  /**
+   * Turn a node name into a URL segment
+   */
+  function slugify(name) {
+    return String(name)
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Build the URL for a name path (root excluded)
+   */
+  function toUrl(pathArray) {
+    if (!pathArray || pathArray.length === 0) return '/';
+    return PREFIX + pathArray.map(slugify).join('/');
+  }
+
+  /**
+   * Get the URL segments of the current location, or null if not a node URL
+   * (malformed percent-escapes included)
+   */
+  function getSegments(pathname = window.location.pathname) {
+    if (!pathname.startsWith(PREFIX)) return null;
+    try {
+      return pathname
+        .slice(PREFIX.length)
+        .split('/')
+        .filter(Boolean)
+        .map(segment => decodeURIComponent(segment));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve URL segments to a name path using raw tree data
+   * @returns {string[]|null} Name path (root excluded), or null if not found
+   */
+  function resolve(treeData, segments) {
+    const namePath = [];
+    let node = treeData;
+
+    for (const segment of segments) {
+      const child = (node.children || []).find(c => slugify(c.name) === segment);
+      if (!child) return null;
+      namePath.push(child.name);
+      node = child;
+    }
+
+    return namePath;
+  }
+
+  /**
+   * Get the expanded nodes from the query string as URL segment arrays,
+   * or null if the URL does not list them
+   * Items with malformed percent-escapes are dropped
+   */
+  function getExpanded(search = window.location.search) {
+    const value = new URLSearchParams(search).get(OPEN_PARAM);
+    if (value === null) return null;
+    return value
+      .split(',')
+      .filter(Boolean)
+      .map(item => item === ROOT_PATH ? [] : getSegments(PREFIX + item))
+      .filter(Boolean);
+  }
+
+  /**
+   * Write the expanded nodes (name paths, root included as []) to the query
+   * string without adding a history entry
+   */
+  function setExpanded(pathArrays) {
+    const items = pathArrays.map(p => p.length === 0 ? ROOT_PATH : p.map(slugify).join('/'));
+    const url = window.location.pathname + `?${OPEN_PARAM}=${items.join(',')}` + window.location.hash;
+    history.replaceState(window.history.state, '', url);
+  }
+
+  /**
+   * Get the content section the URL points at, or null
+   */
+  function getAnchor(hash = window.location.hash) {
+    if (!hash || hash === '#') return null;
+    try {
+      return decodeURIComponent(hash.slice(1));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Point the URL at a content section (null for none) without adding a
+   * history entry
+   */
+  function setAnchor(id) {
+    const hash = id ? `#${encodeURIComponent(id)}` : '';
+    history.replaceState(window.history.state, '', window.location.pathname + window.location.search + hash);
+  }
+
+  /**
+   * Record a node selection in history
+   * Re-selecting the node already in the URL replaces the entry instead
+   */
+  function push(pathArray) {
+    const url = toUrl(pathArray);
+    const state = { path: pathArray };
+
+    if (url === window.location.pathname) {
+      history.replaceState(state, '', url + window.location.search + window.location.hash);
+    } else {
+      history.pushState(state, '', url + window.location.search);
+    }
+  }
+
+  /**
+   * Record that the content panel was closed
+   */
+  function pushClosed() {
+    const state = window.history.state;
+    if (state && state.closed) return;
+    history.pushState({ closed: true }, '', '/' + window.location.search);
+  }
+
+  /**
+   * Replace the current URL without adding a history entry
+   */
+  function replace(pathArray) {
+    history.replaceState({ path: pathArray }, '', toUrl(pathArray) + window.location.search);
+  }
+
+  // Public API
+  return {
+    init,
+    slugify,
+    toUrl,
+    getSegments,
+    resolve,
+    getExpanded,
+    setExpanded,
+    getAnchor,
+    setAnchor,
+    push,
+    pushClosed,
+    replace
+  };
+})();
+
+// Also loadable from Node (server and build scripts)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Router;
+}
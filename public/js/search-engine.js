@@ -0,0 +1,209 @@
+/**
+ * Search Engine Module
+ * Queries a precomputed search index. Shared by the server (/api/search)
+ * and the static builds, so both rank results identically.
+ *
+ * Index format (built by server/search.js):
+ * {
+ *   version: 1,
+ *   fields: ['title', 'description', ...],   // Indexed fields
+ *   weights: [5, 3, ...],                    // Weight per field
+ *   docs: [{ slug, title, description, text, lists, paths }],
+ *   postings: { term: [[docIndex, fieldIndex, [positions]], ...] }
+ * }
+ */
+
+const SearchEngine = (function() {
+  const INDEX_VERSION = 1;
+
+  const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+    'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with'
+  ]);
+
+  const SNIPPET_RADIUS = 60;
+
+  // Sorted term lists, computed once per index for prefix matching
+  const sortedTerms = new WeakMap();
+
+  /**
+   * Split text into lowercase word tokens
+   */
+  function tokenize(text) {
+    if (!text) return [];
+    return String(text)
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token && !STOP_WORDS.has(token));
+  }
+
+  /**
+   * Escape text for safe HTML output
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Escape a string for use inside a RegExp
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Find index terms matching a query token
+   * The last token of a query also matches as a prefix, for search-as-you-type
+   */
+  function expandTerm(index, token, isPrefix) {
+    if (!isPrefix) {
+      return Object.prototype.hasOwnProperty.call(index.postings, token) ? [token] : [];
+    }
+
+    if (!sortedTerms.has(index)) {
+      sortedTerms.set(index, Object.keys(index.postings).sort());
+    }
+    return sortedTerms.get(index).filter(term => term.startsWith(token));
+  }
+
+  /**
+   * Find the position of the first matched term in a text, or -1
+   */
+  function findFirstHit(text, terms) {
+    const lower = text.toLowerCase();
+    let firstHit = -1;
+    for (const term of terms) {
+      const match = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}`, 'u').exec(lower);
+      if (match) {
+        const at = match.index + match[1].length;
+        if (firstHit === -1 || at < firstHit) firstHit = at;
+      }
+    }
+    return firstHit;
+  }
+
+  /**
+   * Build a snippet around the first matching term, with matches wrapped in <mark>
+   * Uses the body when it contains a match, otherwise the description or lists
+   */
+  function buildSnippet(doc, matchedTerms) {
+    const sources = [doc.text, doc.description, doc.lists].filter(Boolean);
+    if (sources.length === 0) return '';
+
+    let source = sources[0];
+    let firstHit = -1;
+    for (const candidate of sources) {
+      const at = findFirstHit(candidate, matchedTerms);
+      if (at !== -1) {
+        source = candidate;
+        firstHit = at;
+        break;
+      }
+    }
+
+    const start = firstHit === -1 ? 0 : Math.max(0, firstHit - SNIPPET_RADIUS);
+    const end = Math.min(source.length, start + SNIPPET_RADIUS * 2);
+    let snippet = escapeHtml(source.slice(start, end));
+
+    if (matchedTerms.length > 0) {
+      const pattern = matchedTerms
+        .sort((a, b) => b.length - a.length)
+        .map(term => escapeRegExp(escapeHtml(term)))
+        .join('|');
+      snippet = snippet.replace(
+        new RegExp(`(^|[^\\p{L}\\p{N}])(${pattern})`, 'giu'),
+        '$1<mark>$2</mark>'
+      );
+    }
+
+    return (start > 0 ? '…' : '') + snippet + (end < source.length ? '…' : '');
+  }
+
+  /**
+   * Search the index
+   * Every query token must match; documents are ranked by field-weighted TF-IDF
+   * @returns {Array<{slug, title, description, score, snippet, paths}>}
+   */
+  function search(index, query, { limit = 10 } = {}) {
+    if (!index || index.version !== INDEX_VERSION) {
+      throw new Error('Unsupported search index version');
+    }
+
+    const tokens = tokenize(query);
+    if (tokens.length === 0) return [];
+
+    const totalDocs = index.docs.length;
+    let scores = null;
+    const matchedTerms = new Map();  // docIndex -> Set(term)
+
+    tokens.forEach((token, i) => {
+      const terms = expandTerm(index, token, i === tokens.length - 1);
+      const tokenScores = new Map();
+
+      for (const term of terms) {
+        const entries = index.postings[term];
+
+        // Postings are grouped per document and field; weight them per document
+        const weightedByDoc = new Map();
+        for (const [docIndex, fieldIndex, positions] of entries) {
+          const weighted = index.weights[fieldIndex] * (1 + Math.log(positions.length));
+          weightedByDoc.set(docIndex, (weightedByDoc.get(docIndex) || 0) + weighted);
+        }
+
+        const idf = Math.log(1 + totalDocs / weightedByDoc.size);
+
+        for (const [docIndex, weighted] of weightedByDoc) {
+          tokenScores.set(docIndex, (tokenScores.get(docIndex) || 0) + weighted * idf);
+
+          if (!matchedTerms.has(docIndex)) matchedTerms.set(docIndex, new Set());
+          matchedTerms.get(docIndex).add(term);
+        }
+      }
+
+      // Intersect with documents matched by earlier tokens
+      if (scores === null) {
+        scores = tokenScores;
+      } else {
+        for (const docIndex of scores.keys()) {
+          if (tokenScores.has(docIndex)) {
+            scores.set(docIndex, scores.get(docIndex) + tokenScores.get(docIndex));
+          } else {
+            scores.delete(docIndex);
+          }
+        }
+      }
+    });
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1] || index.docs[a[0]].slug.localeCompare(index.docs[b[0]].slug))
+      .slice(0, limit)
+      .map(([docIndex, score]) => {
+        const doc = index.docs[docIndex];
+        return {
+          slug: doc.slug,
+          title: doc.title,
+          description: doc.description,
+          score: Math.round(score * 1000) / 1000,
+          snippet: buildSnippet(doc, [...matchedTerms.get(docIndex)]),
+          paths: doc.paths
+        };
+      });
+  }
+
+  // Public API
+  return {
+    INDEX_VERSION,
+    tokenize,
+    search
+  };
+})();
+
+// Also loadable from Node (server and build scripts)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchEngine;
+}
@@ -0,0 +1,358 @@
+/**
+ * Tree Canvas Renderer
+ * Draws the tree to a <canvas> for trees too large for one SVG element per
+ * node. TreeVisualization keeps the layout, selection and all other state;
+ * this module only draws the nodes it is given and finds the node under the
+ * pointer with a quadtree. Colors and sizes come from the CSS variables in
+ * tree.css, so both renderers look alike.
+ *
+ * USAGE:
+ *   const renderer = TreeCanvas.create(container, {
+ *     linkPath,   // (node, parent) => SVG path data, shared with the SVG links
+ *     labelAfter, // node => true when its label goes right of the node
+ *     getState    // node => { root, collapsedRoot, active, match, focused, loading }
+ *   });
+ *
+ * API:
+ * - render(nodes, source, duration)  Animate to freshly laid-out nodes
+ * - draw()                           Redraw after a state change
+ * - restyle()                        Re-read the CSS variables, e.g. new theme
+ * - setTransform(transform, margin)  Follow the zoom and the layer margins
+ * - resize(width, height)            Match the container
+ * - find(x, y)                       Node at a point in layer coordinates
+ * - setHovered(node)                 Draw a node in its hover state
+ * - getBounds()                      Nodes and labels, in layer coordinates
+ * - measure(text, active)            Label width in px
+ * - clear()                          Stop and erase, e.g. when SVG takes over
+ *
+ * TreeCanvas.readStyle() returns the same colors and sizes for other
+ * renderers (exports).
+ */
+
+const TreeCanvas = (function() {
+  const LABEL_OFFSET = 12;  // Same as the SVG labels' x
+  const CULL_MARGIN = 200;  // Draw this far outside the view, in layer px
+
+  /**
+   * Read a CSS variable from the document root
+   */
+  function cssVar(name, fallback) {
+    const value = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+    return value || fallback;
+  }
+
+  /**
+   * Read a numeric CSS variable (px units are dropped)
+   */
+  function cssNumber(name, fallback) {
+    const value = parseFloat(cssVar(name, ''));
+    return Number.isNaN(value) ? fallback : value;
+  }
+
+  /**
+   * Collect the tree.css variables the renderer draws with
+   */
+  function readStyle() {
+    return {
+      fontFamily: cssVar('--font-family', 'sans-serif'),
+      fontSize: cssNumber('--tree-font-size', 14),
+      fontWeight: cssVar('--tree-font-weight', '400'),
+      fontWeightActive: cssVar('--tree-font-weight-active', '500'),
+      fontColor: cssVar('--tree-font-color', '#000000'),
+      labelPadding: cssNumber('--label-bg-padding', 1),
+      labelBackground: cssVar('--label-bg-color', '#ffffff'),
+      matchBackground: cssVar('--search-match-bg', '#ffff00'),
+      background: cssVar('--color-bg', '#ffffff'),
+
+      radius: cssNumber('--node-radius', 5),
+      radiusCollapsed: cssNumber('--node-radius-collapsed', 8),
+      nodeFill: cssVar('--node-fill', '#ffffff'),
+      nodeOutline: cssVar('--node-outline-color', '#000000'),
+      nodeOutlineWeight: cssNumber('--node-outline-weight', 1),
+      nodeFillActive: cssVar('--node-fill-active', '#000000'),
+      nodeOutlineActive: cssVar('--node-outline-color-active', '#000000'),
+      nodeFillHover: cssVar('--node-fill-hover', '#000000'),
+      nodeFillOpacityHover: cssNumber('--node-fill-opacity-hover', 0.5),
+
+      linkColor: cssVar('--link-color', '#000000'),
+      linkWeight: cssNumber('--link-weight', 11),
+      linkOpacity: cssNumber('--link-opacity', 0.5),
+      linkColorActive: cssVar('--link-color-active', '#000000'),
+      linkWeightActive: cssNumber('--link-weight-active', 11),
+      linkOpacityActive: cssNumber('--link-opacity-active', 0.8),
+
+      focusColor: cssVar('--focus-ring-color', '#000000'),
+      focusWeight: cssNumber('--focus-ring-weight', 2)
+    };
+  }
+
+  /**
+   * Create a renderer drawing into a new canvas in the container
+   */
+  function create(container, options) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'tree-canvas';
+    canvas.setAttribute('aria-hidden', 'true');
+    container.insertBefore(canvas, container.firstChild);
+    const context = canvas.getContext('2d');
+
+    let width = 0;
+    let height = 0;
+    let transform = d3.zoomIdentity;
+    let margin = { top: 0, left: 0 };
+    let style = readStyle();
+    let nodes = [];
+    let positions = new Map();  // Drawn position by node id, mid-animation too
+    let quadtree = null;
+    let timer = null;
+    let hovered = null;
+    const labelWidths = new Map();
+
+    /**
+     * Size the canvas to the container, sharp on high-density screens
+     */
+    function resize(newWidth, newHeight) {
+      const ratio = window.devicePixelRatio || 1;
+      width = newWidth;
+      height = newHeight;
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+      canvas.style.width = `${width}px`;
+      canvas.style.height = `${height}px`;
+      draw();
+    }
+
+    function setTransform(newTransform, newMargin) {
+      transform = newTransform;
+      margin = newMargin;
+      draw();
+    }
+
+    /**
+     * Animate from the previously drawn positions to the nodes' layout;
+     * nodes new to the canvas grow out of the source node
+     */
+    function render(nextNodes, source, duration) {
+      style = readStyle();
+      nodes = nextNodes;
+      quadtree = d3.quadtree(nodes, d => d.y, d => d.x);
+
+      const start = new Map(nodes.map(d => [
+        d.id,
+        positions.get(d.id) || { x: source.x0, y: source.y0 }
+      ]));
+
+      if (timer) timer.stop();
+      timer = d3.timer(elapsed => {
+        const t = duration > 0 ? Math.min(1, elapsed / duration) : 1;
+        const k = d3.easeCubic(t);
+        positions = new Map(nodes.map(d => {
+          const from = start.get(d.id);
+          return [d.id, { x: from.x + (d.x - from.x) * k, y: from.y + (d.y - from.y) * k }];
+        }));
+        draw();
+
+        if (t === 1) {
+          timer.stop();
+          timer = null;
+        }
+      });
+    }
+
+    /**
+     * Get where a node is drawn this frame, with its layout's radial
+     * coordinates for link curves
+     */
+    function drawnPosition(d) {
+      const position = positions.get(d.id) || d;
+      return { x: position.x, y: position.y, angle: d.angle, radius: d.radius };
+    }
+
+    /**
+     * Get the visible area in layer coordinates, with a margin for culling
+     */
+    function getView() {
+      const [x0, y0] = transform.invert([0, 0]);
+      const [x1, y1] = transform.invert([width, height]);
+      return {
+        left: x0 - margin.left - CULL_MARGIN,
+        top: y0 - margin.top - CULL_MARGIN,
+        right: x1 - margin.left + CULL_MARGIN,
+        bottom: y1 - margin.top + CULL_MARGIN
+      };
+    }
+
+    function getFont(active) {
+      return `${active ? style.fontWeightActive : style.fontWeight} ${style.fontSize}px ${style.fontFamily}`;
+    }
+
+    /**
+     * Measure a label, caching by font and text
+     */
+    function measureLabel(text, active) {
+      const font = getFont(active);
+      const key = `${font}|${text}`;
+      if (!labelWidths.has(key)) {
+        context.font = font;
+        labelWidths.set(key, context.measureText(text).width);
+      }
+      return labelWidths.get(key);
+    }
+
+    function draw() {
+      const ratio = window.devicePixelRatio || 1;
+      context.setTransform(1, 0, 0, 1, 0, 0);
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      if (nodes.length === 0) return;
+
+      context.setTransform(
+        ratio * transform.k, 0, 0, ratio * transform.k,
+        ratio * (transform.x + transform.k * margin.left),
+        ratio * (transform.y + transform.k * margin.top)
+      );
+
+      const view = getView();
+      const inView = p => p.y >= view.left && p.y <= view.right && p.x >= view.top && p.x <= view.bottom;
+      const states = new Map(nodes.map(d => [d, options.getState(d)]));
+
+      // Links, the active path on top
+      context.lineCap = 'round';
+      for (const active of [false, true]) {
+        context.strokeStyle = active ? style.linkColorActive : style.linkColor;
+        context.lineWidth = active ? style.linkWeightActive : style.linkWeight;
+        context.globalAlpha = active ? style.linkOpacityActive : style.linkOpacity;
+
+        for (const d of nodes) {
+          if (!d.parent || states.get(d).active !== active) continue;
+          const s = drawnPosition(d);
+          const p = drawnPosition(d.parent);
+          if (!inView(s) && !inView(p)) continue;
+          context.stroke(new Path2D(options.linkPath(s, p)));
+        }
+      }
+      context.globalAlpha = 1;
+
+      // Nodes and labels
+      context.textBaseline = 'middle';
+      for (const d of nodes) {
+        const position = drawnPosition(d);
+        if (!inView(position)) continue;
+        drawNode(d, position, states.get(d));
+      }
+    }
+
+    function drawNode(d, position, state) {
+      const { x, y } = position;
+      const filled = state.root || state.active;
+
+      context.beginPath();
+      context.arc(y, x, state.collapsedRoot ? style.radiusCollapsed : style.radius, 0, 2 * Math.PI);
+      if (d === hovered || state.loading) {
+        context.fillStyle = style.nodeFillHover;
+        context.globalAlpha = style.nodeFillOpacityHover;
+      } else {
+        context.fillStyle = filled ? style.nodeFillActive : style.nodeFill;
+      }
+      context.fill();
+      context.globalAlpha = 1;
+      context.strokeStyle = filled ? style.nodeOutlineActive : style.nodeOutline;
+      context.lineWidth = style.nodeOutlineWeight;
+      context.stroke();
+
+      // Label on its background (or search match) box
+      const label = d.data.name;
+      const labelWidth = measureLabel(label, state.active);
+      const after = options.labelAfter(d);
+      const left = after ? y + LABEL_OFFSET : y - LABEL_OFFSET - labelWidth;
+      const padding = style.labelPadding;
+      const box = [
+        left - padding,
+        x - style.fontSize / 2 - padding,
+        labelWidth + padding * 2,
+        style.fontSize + padding * 2
+      ];
+
+      context.fillStyle = state.match ? style.matchBackground : style.labelBackground;
+      context.fillRect(...box);
+      if (state.focused) {
+        context.strokeStyle = style.focusColor;
+        context.lineWidth = style.focusWeight;
+        context.strokeRect(...box);
+      }
+
+      context.font = getFont(state.active);
+      context.fillStyle = style.fontColor;
+      context.textAlign = 'left';
+      context.fillText(label, left, x);
+    }
+
+    /**
+     * Find the node within reach of a point in layer coordinates
+     */
+    function find(x, y) {
+      if (!quadtree) return null;
+      const reach = Math.max(10, style.radius * 2) / transform.k;
+      return quadtree.find(x, y, reach) || null;
+    }
+
+    function restyle() {
+      style = readStyle();
+      labelWidths.clear();
+      draw();
+    }
+
+    function setHovered(d) {
+      if (d === hovered) return;
+      hovered = d;
+      draw();
+    }
+
+    /**
+     * Bounding box of the laid-out nodes and their labels
+     */
+    function getBounds() {
+      if (nodes.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+
+      let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+      const reach = LABEL_OFFSET + style.labelPadding;
+      for (const d of nodes) {
+        const labelWidth = measureLabel(d.data.name, false) + reach;
+        const after = options.labelAfter(d);
+        left = Math.min(left, after ? d.y - style.radius : d.y - labelWidth);
+        right = Math.max(right, after ? d.y + labelWidth : d.y + style.radius);
+        top = Math.min(top, d.x - style.fontSize / 2);
+        bottom = Math.max(bottom, d.x + style.fontSize / 2);
+      }
+      return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    function clear() {
+      if (timer) timer.stop();
+      timer = null;
+      nodes = [];
+      positions = new Map();
+      quadtree = null;
+      hovered = null;
+      draw();
+    }
+
+    return {
+      render,
+      draw,
+      restyle,
+      setTransform,
+      resize,
+      find,
+      setHovered,
+      getBounds,
+      measure: measureLabel,
+      clear
+    };
+  }
+
+  // Public API
+  return {
+    create,
+    readStyle
+  };
+})();
@@ -0,0 +1,395 @@
+/**
+ * Tree Export Module
+ * Turns the tree into standalone images for slides, documents and print.
+ * Shared by the browser (export menu in tree.js) and the build script
+ * (`npm run build -- export`), which has no DOM.
+ *
+ * BROWSER:
+ * - serialize(svgElement, options)   Copy of the live #tree-svg with computed
+ *                                    styles and fonts inlined
+ * - toPng(image, scale)              Rasterize an exported SVG to a PNG Blob
+ * - download(blob, filename)         Save a Blob through a temporary link
+ * - getFontCss()                     @font-face rules of the page's web font,
+ *                                    with the font files as data URLs
+ *
+ * ANYWHERE:
+ * - render(tree, options)            Whole tree, every branch expanded
+ * - renderNodes(nodes, options)      Already laid-out nodes (e.g. canvas mode)
+ * - layout(tree, options)            Positions for render()
+ *
+ * Exports are { svg, width, height }, svg being the markup of a complete
+ * SVG document. Colors come from `options.style`, keyed like
+ * TreeCanvas.readStyle(); DEFAULT_STYLE matches tree.css in the light theme.
+ */
+
+const TreeExport = (function() {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const LABEL_OFFSET = 12;  // Same as the tree's labels
+  const PADDING = 20;       // Around the tree in every export
+
+  const DEFAULT_STYLE = {
+    fontFamily: "'IBM Plex Sans', -apple-system, BlinkMacSystemFont, sans-serif",
+    fontSize: 14,
+    fontWeight: '400',
+    fontWeightActive: '500',
+    fontColor: '#000000',
+    labelPadding: 1,
+    labelBackground: '#ffffff',
+    background: '#ffffff',
+    radius: 5,
+    nodeFill: '#ffffff',
+    nodeOutline: '#000000',
+    nodeOutlineWeight: 1,
+    nodeFillActive: '#000000',
+    nodeOutlineActive: '#000000',
+    linkColor: '#000000',
+    linkWeight: 11,
+    linkOpacity: 0.5,
+    linkColorActive: '#000000',
+    linkWeightActive: 11,
+    linkOpacityActive: 0.8
+  };
+
+  // Computed properties copied onto each element of a serialized SVG
+  const INLINE_PROPERTIES = [
+    'display', 'visibility', 'opacity',
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+    'stroke-linecap', 'stroke-linejoin',
+    'font-family', 'font-size', 'font-weight', 'font-style',
+    'text-anchor', 'dominant-baseline'
+  ];
+
+  // Unicode subsets of the web font embedded in exports
+  const FONT_SUBSETS = ['latin'];
+
+  let fontCssPromise = null;
+
+  /**
+   * Escape text for XML output
+   */
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Round a coordinate for compact markup
+   */
+  function num(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Estimate a label's width where text cannot be measured (Node)
+   */
+  function estimateWidth(text, style) {
+    return String(text).length * style.fontSize * 0.55;
+  }
+
+  /**
+   * Lay out a whole tree left to right: each leaf gets its own row, parents
+   * sit midway between their first and last child, and each level is as
+   * wide as the labels it holds. Needs no d3, so it runs in the build.
+   * @param {Object} tree - Tree structure ({ name, children })
+   * @param {Object} options
+   * @param {number} options.rowSpacing - Vertical distance between leaves
+   * @param {Function} options.measure - (text, style) => label width
+   * @returns {Array} Nodes ({ data, depth, parent, children, x, y }), root first
+   */
+  function layout(tree, { rowSpacing = 28, measure = estimateWidth, style = DEFAULT_STYLE } = {}) {
+    const nodes = [];
+    let row = 0;
+
+    function visit(data, parent, depth) {
+      const node = { data, depth, parent, children: null, x: 0, y: 0 };
+      nodes.push(node);
+      const children = data.children || [];
+      if (children.length === 0) {
+        node.x = row++ * rowSpacing;
+      } else {
+        node.children = children.map(child => visit(child, node, depth + 1));
+        node.x = (node.children[0].x + node.children[node.children.length - 1].x) / 2;
+      }
+      return node;
+    }
+    visit(tree, null, 0);
+
+    // Labels of parents sit left of their node, so the gap before each
+    // level has to fit the widest of them
+    const gaps = [];
+    for (const node of nodes) {
+      if (!node.children || !node.parent) continue;
+      const width = measure(node.data.name, style) + LABEL_OFFSET * 3;
+      gaps[node.depth] = Math.max(gaps[node.depth] || 0, width);
+    }
+    const columns = [0];
+    const maxDepth = Math.max(...nodes.map(node => node.depth));
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      columns[depth] = columns[depth - 1] + Math.max(gaps[depth] || 0, rowSpacing * 4);
+    }
+    nodes.forEach(node => { node.y = columns[node.depth]; });
+
+    return nodes;
+  }
+
+  /**
+   * The tree's link between a node and its parent
+   */
+  function linkPath(s, d) {
+    const y = (s.y + d.y) / 2;
+    return `M ${s.y} ${s.x} C ${y} ${s.x}, ${y} ${d.x}, ${d.y} ${d.x}`;
+  }
+
+  /**
+   * Draw laid-out nodes as a standalone SVG, like the tree draws them
+   * @param {Array} nodes - Nodes with data.name, x (vertical), y
+   *   (horizontal) and parent
+   * @param {Object} options
+   * @param {Function} options.linkPath - (node, parent) => path data
+   * @param {Function} options.labelAfter - node => label goes right of it
+   * @param {Function} options.active - node => drawn as the active path
+   * @param {Function} options.measure - (text, style) => label width
+   * @param {Object} options.style - Colors and sizes, see DEFAULT_STYLE
+   * @param {string} options.fontCss - @font-face rules to embed
+   */
+  function renderNodes(nodes, options = {}) {
+    const style = { ...DEFAULT_STYLE, ...options.style };
+    const measure = options.measure || estimateWidth;
+    const pathFor = options.linkPath || linkPath;
+    const labelAfter = options.labelAfter || (d => !d.children && !!d.parent);
+    const active = options.active || (() => false);
+
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    const links = [[], []];
+    const shapes = [];
+
+    for (const d of nodes) {
+      const isActive = active(d);
+      const label = d.data.name;
+      const width = measure(label, style);
+      const after = labelAfter(d);
+      const x = after ? d.y + LABEL_OFFSET : d.y - LABEL_OFFSET - width;
+      const pad = style.labelPadding;
+
+      left = Math.min(left, x - pad, d.y - style.radius);
+      right = Math.max(right, x + width + pad, d.y + style.radius);
+      top = Math.min(top, d.x - style.fontSize / 2 - pad);
+      bottom = Math.max(bottom, d.x + style.fontSize / 2 + pad);
+
+      if (d.parent) {
+        links[isActive ? 1 : 0].push(`<path d="${pathFor(d, d.parent)}"/>`);
+      }
+      const filled = isActive || !d.parent;
+      shapes.push(
+        `<circle cx="${num(d.y)}" cy="${num(d.x)}" r="${style.radius}" fill="${filled ? style.nodeFillActive : style.nodeFill}" ` +
+          `stroke="${filled ? style.nodeOutlineActive : style.nodeOutline}" stroke-width="${style.nodeOutlineWeight}"/>`,
+        `<rect x="${num(x - pad)}" y="${num(d.x - style.fontSize / 2 - pad)}" width="${num(width + pad * 2)}" height="${style.fontSize + pad * 2}" ` +
+          `rx="1" fill="${style.labelBackground}"/>`,
+        `<text x="${num(x)}" y="${num(d.x)}" dy=".35em"${isActive ? ` font-weight="${style.fontWeightActive}"` : ''}>${escapeXml(label)}</text>`
+      );
+    }
+
+    const bounds = {
+      x: left - PADDING,
+      y: top - PADDING,
+      width: right - left + PADDING * 2,
+      height: bottom - top + PADDING * 2
+    };
+    const linkGroup = (list, isActive) => list.length === 0 ? '' :
+      `<g fill="none" stroke="${isActive ? style.linkColorActive : style.linkColor}" ` +
+      `stroke-width="${isActive ? style.linkWeightActive : style.linkWeight}" ` +
+      `stroke-opacity="${isActive ? style.linkOpacityActive : style.linkOpacity}" stroke-linecap="round">${list.join('')}</g>`;
+
+    const svg = [
+      `<svg xmlns="${SVG_NS}" viewBox="${num(bounds.x)} ${num(bounds.y)} ${num(bounds.width)} ${num(bounds.height)}" ` +
+        `width="${Math.ceil(bounds.width)}" height="${Math.ceil(bounds.height)}">`,
+      options.fontCss ? `<style>${options.fontCss}</style>` : '',
+      `<rect x="${num(bounds.x)}" y="${num(bounds.y)}" width="${num(bounds.width)}" height="${num(bounds.height)}" fill="${style.background}"/>`,
+      linkGroup(links[0], false),
+      linkGroup(links[1], true),
+      `<g font-family="${escapeXml(style.fontFamily)}" font-size="${style.fontSize}" font-weight="${style.fontWeight}" fill="${style.fontColor}">`,
+      shapes.join(''),
+      '</g>',
+      '</svg>'
+    ].join('');
+
+    return { svg, width: Math.ceil(bounds.width), height: Math.ceil(bounds.height) };
+  }
+
+  /**
+   * Draw a whole tree with every branch expanded
+   * @param {Object} options - layout() and renderNodes() options
+   */
+  function render(tree, options = {}) {
+    const style = { ...DEFAULT_STYLE, ...options.style };
+    return renderNodes(layout(tree, { ...options, style }), { ...options, style });
+  }
+
+  /**
+   * Read a Blob as a data URL
+   */
+  function toDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Collect the page's web font rules (Google Fonts stylesheets), keeping
+   * FONT_SUBSETS and swapping font URLs for data URLs, so exports render
+   * with the font even as images. Empty if the fonts cannot be fetched;
+   * exports then fall back to the system font.
+   */
+  function getFontCss() {
+    if (!fontCssPromise) {
+      const links = [...document.querySelectorAll('link[rel="stylesheet"][href*="fonts.googleapis.com"]')];
+      fontCssPromise = Promise.all(links.map(async (link) => {
+        const css = await (await fetch(link.href)).text();
+        const rules = css.split(/(?=\/\*\s*[\w-]+\s*\*\/)/)
+          .filter(rule => FONT_SUBSETS.includes((rule.match(/^\/\*\s*([\w-]+)\s*\*\//) || [])[1]));
+
+        return Promise.all(rules.map(async (rule) => {
+          const url = (rule.match(/url\(([^)]+)\)/) || [])[1];
+          if (!url) return rule;
+          const dataUrl = await toDataUrl(await (await fetch(url.replace(/['"]/g, ''))).blob());
+          return rule.replace(url, `"${dataUrl}"`);
+        }));
+      }))
+        .then(sheets => sheets.flat().join('\n'))
+        .catch((error) => {
+          console.warn('Export fonts not embedded:', error);
+          fontCssPromise = null;
+          return '';
+        });
+    }
+    return fontCssPromise;
+  }
+
+  /**
+   * Copy computed styles onto a cloned element tree, so the copy looks the
+   * same without the page's stylesheets
+   */
+  function inlineStyles(source, target) {
+    const computed = getComputedStyle(source);
+    const declarations = INLINE_PROPERTIES
+      .map(property => [property, computed.getPropertyValue(property)])
+      .filter(([, value]) => value)
+      .map(([property, value]) => `${property}:${value}`);
+    target.setAttribute('style', declarations.join(';'));
+    target.removeAttribute('class');
+    target.removeAttribute('tabindex');
+
+    for (let i = 0; i < source.children.length; i++) {
+      inlineStyles(source.children[i], target.children[i]);
+    }
+  }
+
+  /**
+   * Serialize the live tree SVG as a standalone document, cropped to its
+   * content and without the zoom applied
+   * @param {SVGElement} svgElement - The tree's <svg>
+   * @param {Object} options
+   * @param {Object} options.bounds - Content box in zoom-layer coordinates
+   * @param {string} options.background - Page color behind the tree
+   * @param {boolean} options.embedFonts - Inline the web font (default true)
+   */
+  async function serialize(svgElement, { bounds, background, embedFonts = true }) {
+    const clone = svgElement.cloneNode(true);
+
+    // Drop the pan and zoom; the viewBox frames the content instead
+    const zoomLayer = clone.querySelector('.tree-zoom');
+    if (zoomLayer) zoomLayer.removeAttribute('transform');
+
+    inlineStyles(svgElement, clone);
+    clone.removeAttribute('style');
+
+    const box = {
+      x: bounds.x - PADDING,
+      y: bounds.y - PADDING,
+      width: Math.ceil(bounds.width + PADDING * 2),
+      height: Math.ceil(bounds.height + PADDING * 2)
+    };
+    clone.setAttribute('viewBox', `${box.x} ${box.y} ${box.width} ${box.height}`);
+    clone.setAttribute('width', box.width);
+    clone.setAttribute('height', box.height);
+    ['id', 'role', 'aria-label', 'aria-activedescendant'].forEach(name => clone.removeAttribute(name));
+
+    const backdrop = document.createElementNS(SVG_NS, 'rect');
+    ['x', 'y', 'width', 'height'].forEach(key => backdrop.setAttribute(key, box[key]));
+    backdrop.setAttribute('fill', background || DEFAULT_STYLE.background);
+    clone.insertBefore(backdrop, clone.firstChild);
+
+    const fontCss = embedFonts ? await getFontCss() : '';
+    if (fontCss) {
+      const styleElement = document.createElementNS(SVG_NS, 'style');
+      styleElement.textContent = fontCss;
+      clone.insertBefore(styleElement, clone.firstChild);
+    }
+
+    return {
+      svg: new XMLSerializer().serializeToString(clone),
+      width: box.width,
+      height: box.height
+    };
+  }
+
+  /**
+   * Rasterize an exported SVG
+   * @param {Object} image - { svg, width, height } from an export
+   * @param {number} scale - Pixels per SVG unit, e.g. 2 for slides
+   * @returns {Promise<Blob>} PNG
+   */
+  function toPng(image, scale = 1) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([image.svg], { type: 'image/svg+xml' }));
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG export failed')), 'image/png');
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('PNG export failed: SVG could not be loaded'));
+      };
+      img.src = url;
+    });
+  }
+
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Public API
+  return {
+    DEFAULT_STYLE,
+    layout,
+    render,
+    renderNodes,
+    serialize,
+    toPng,
+    download,
+    getFontCss
+  };
+})();
+
+// Also loadable from Node (build script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TreeExport;
+}
@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+/**
+ * Site Builder
+ * Processes the content once and hands the result to an output target
+ *
+ * Usage:
+ *   npm run build -- <target> [--clean]
+ *   npm run build-static          - Same as: npm run build -- static
+ *   npm run build-github          - Same as: npm run build -- github
+ *   npm run build -- export [--scale=2]  - Tree images (SVG, PNG, poster)
+ *
+ * TARGETS live in scripts/targets/ and export:
+ *   { name, description, outDir, write(site, output, options), nextSteps?, content? }
+ * write() receives the processed site (below), an output writer rooted at
+ * outDir and the command-line options. Targets with content: false only
+ * get the tree; the markdown is not read or rendered. Adding a file there
+ * and to TARGETS is all a new target needs.
+ *
+ * INCREMENTAL BUILDS:
+ * Each target keeps a manifest (.build-cache/<target>.json) of source
+ * hashes, rendered documents, render options and output file hashes. It
+ * lives outside the output directory, which may be published (docs/), and
+ * is git-ignored. Unchanged markdown is not re-rendered, unchanged files
+ * are not rewritten, and files the build no longer produces (e.g. for
+ * removed slugs) are deleted. Changed render options re-render all
+ * markdown; --clean or a missing manifest empties the output directory
+ * first.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { readContentDir, formatError } = require('../server/frontmatter');
+const { renderDocument, getRenderOptions } = require('../server/content');
+const { buildIndex } = require('../server/search');
+const render = require('../server/render');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PATHS = {
+  content: path.join(ROOT_DIR, 'content'),
+  public: path.join(ROOT_DIR, 'public'),
+  tree: path.join(ROOT_DIR, 'categories', 'tree-structure.json'),
+  cache: path.join(ROOT_DIR, '.build-cache')
+};
+
+// Where older builds kept the manifest, inside the output directory
+const LEGACY_MANIFEST_FILE = '.build-manifest.json';
+const MANIFEST_VERSION = 1;
+
+const TARGETS = {
+  static: require('./targets/static'),
+  github: require('./targets/github'),
+  export: require('./targets/export')
+};
+
+/**
+ * SHA-256 of a string or buffer
+ */
+function hash(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function getManifestPath(targetName) {
+  return path.join(PATHS.cache, `${targetName}.json`);
+}
+
+/**
+ * Read the manifest of a previous build, or null if there is none
+ */
+async function readManifest(targetName) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(getManifestPath(targetName), 'utf-8'));
+    return manifest.version === MANIFEST_VERSION ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read, validate and render everything the targets need
+ * Documents whose source hash matches the previous build reuse its render
+ * @param {Object} previous - Rendered content from the last manifest, by slug
+ * @param {Object} options
+ * @param {boolean} options.content - Read and render the markdown; without
+ *   it, site only has the tree
+ * @returns {Promise<Object>} site: { tree, content, list, hashes,
+ *   rendered, searchIndex, pages, template, lastModified, publicDir }, or
+ *   null if the content is invalid
+ */
+async function processSite(previous = {}, { content: withContent = true } = {}) {
+  if (!withContent) {
+    return { tree: JSON.parse(await fs.readFile(PATHS.tree, 'utf-8')) };
+  }
+
+  const { documents, errors } = await readContentDir(PATHS.content);
+  if (errors.length > 0) {
+    console.error('Invalid frontmatter:');
+    errors.forEach(error => console.error(`  ${formatError(error)}`));
+    console.error(`\n✗ Build aborted: ${errors.length} frontmatter error(s)`);
+    return null;
+  }
+
+  const tree = JSON.parse(await fs.readFile(PATHS.tree, 'utf-8'));
+
+  const content = {};
+  const hashes = {};
+  const lastModified = {};
+  let rendered = 0;
+
+  for (const document of documents) {
+    const { slug, frontmatter, body } = document;
+    hashes[slug] = hash(JSON.stringify({ frontmatter, body }));
+
+    if (previous[slug] && previous[slug].hash === hashes[slug]) {
+      content[slug] = previous[slug].data;
+    } else {
+      content[slug] = renderDocument(document);
+      rendered++;
+    }
+    if (frontmatter.date) lastModified[slug] = frontmatter.date;
+  }
+
+  return {
+    tree,
+    content,
+    list: documents.map(({ slug, frontmatter }) => ({ slug, ...frontmatter })),
+    hashes,
+    rendered,
+    searchIndex: buildIndex(documents, tree),
+    pages: render.collectPages(tree),
+    template: await fs.readFile(path.join(PATHS.public, 'index.html'), 'utf-8'),
+    lastModified,
+    publicDir: PATHS.public
+  };
+}
+
+/**
+ * Create an output writer rooted at a directory
+ * Writes are collected and applied by flush(), so a later write to the same
+ * path (e.g. a rendered page over the copied index.html) replaces an earlier
+ * one. Files already holding the same bytes are left untouched.
+ * @param {Object} previousFiles - Output hashes from the last manifest
+ */
+function createOutput(dir, previousFiles = {}) {
+  const pending = new Map();
+  const files = {};
+  const stats = { written: 0, unchanged: 0 };
+
+  async function write(relativePath, contents) {
+    const key = relativePath.split(path.sep).join('/').replace(/^\/+/, '');
+    pending.set(key, contents);
+  }
+
+  async function copyDir(src, relativePath = '') {
+    const entries = await fs.readdir(src, { withFileTypes: true });
+    for (const entry of entries) {
+      const srcPath = path.join(src, entry.name);
+      const destPath = path.join(relativePath, entry.name);
+      if (entry.isDirectory()) {
+        await copyDir(srcPath, destPath);
+      } else {
+        await write(destPath, await fs.readFile(srcPath));
+      }
+    }
+  }
+
+  async function flush() {
+    for (const [key, contents] of pending) {
+      const filePath = path.join(dir, key);
+      const fileHash = hash(contents);
+      files[key] = fileHash;
+
+      // Compare against the disk, not the manifest, so hand edits are undone
+      if (previousFiles[key] === fileHash) {
+        const existing = await fs.readFile(filePath).catch(() => null);
+        if (existing && hash(existing) === fileHash) {
+          stats.unchanged++;
+          continue;
+        }
+      }
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, contents);
+      stats.written++;
+    }
+    pending.clear();
+  }
+
+  return { dir, files, stats, write, copyDir, flush };
+}
+
+/**
+ * Delete files from the previous build that this build did not produce,
+ * along with directories left empty
+ * @returns {Promise<number>} Number of files deleted
+ */
+async function removeStale(dir, previousFiles, currentFiles) {
+  let removed = 0;
+
+  for (const key of Object.keys(previousFiles)) {
+    if (key in currentFiles) continue;
+    await fs.rm(path.join(dir, key), { force: true });
+    removed++;
+
+    // Prune empty parent directories up to the output root
+    let parent = path.dirname(path.join(dir, key));
+    while (parent !== dir && (await fs.readdir(parent).catch(() => [null])).length === 0) {
+      await fs.rmdir(parent);
+      parent = path.dirname(parent);
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Compare content slugs with the previous build
+ */
+function diffContent(previous, hashes) {
+  const slugs = Object.keys(hashes);
+  const added = slugs.filter(slug => !previous[slug]);
+  const updated = slugs.filter(slug => previous[slug] && previous[slug].hash !== hashes[slug]);
+  const removed = Object.keys(previous).filter(slug => !(slug in hashes));
+  return { added, updated, removed, unchanged: slugs.length - added.length - updated.length };
+}
+
+/**
+ * Build a target
+ * @param {Object} options
+ * @param {boolean} options.clean - Ignore the previous build and start over
+ * @param {number} options.scale - PNG scale, for the export target
+ */
+async function build(targetName, { clean = false, scale = 1 } = {}) {
+  const target = TARGETS[targetName];
+  const outDir = path.join(ROOT_DIR, target.outDir);
+  console.log(`🔨 Building ${target.description}...\n`);
+
+  const optionsHash = hash(JSON.stringify({ target: targetName, siteUrl: render.getSiteUrl(), ...getRenderOptions() }));
+  const manifest = clean ? null : await readManifest(targetName);
+  const previous = manifest || { content: {}, files: {} };
+
+  // Renders made with other options cannot be reused; output files can
+  // still be compared, so unaffected ones stay untouched
+  const sameOptions = manifest && manifest.options === optionsHash;
+  if (manifest && !sameOptions) {
+    console.log('⚙️  Render options changed, re-rendering all content\n');
+  }
+
+  const withContent = target.content !== false;
+  const site = await processSite(sameOptions ? previous.content : {}, { content: withContent });
+  if (!site) {
+    process.exitCode = 1;
+    return;
+  }
+
+  // Without a manifest there is no record of what is safe to keep
+  if (!manifest) {
+    await fs.rm(outDir, { recursive: true, force: true });
+  }
+
+  const output = createOutput(outDir, previous.files);
+  await target.write(site, output, { scale });
+  await output.flush();
+  const deleted = await removeStale(outDir, previous.files, output.files);
+
+  const content = {};
+  for (const [slug, data] of Object.entries(site.content || {})) {
+    content[slug] = { hash: site.hashes[slug], data };
+  }
+  await fs.mkdir(PATHS.cache, { recursive: true });
+  await fs.writeFile(
+    getManifestPath(targetName),
+    JSON.stringify({ version: MANIFEST_VERSION, options: optionsHash, content, files: output.files }, null, 2)
+  );
+  await fs.rm(path.join(outDir, LEGACY_MANIFEST_FILE), { force: true });
+
+  console.log(`\n✅ Build complete! Files are in /${target.outDir}`);
+  const files = `   Files: ${output.stats.written} written, ${output.stats.unchanged} unchanged, ${deleted} deleted`;
+  if (withContent) {
+    const pages = diffContent(previous.content, site.hashes);
+    console.log(`   Pages: ${pages.added.length} added, ${pages.updated.length} updated, ${pages.removed.length} removed, ${pages.unchanged} unchanged`);
+    for (const [label, slugs] of [['+', pages.added], ['~', pages.updated], ['-', pages.removed]]) {
+      slugs.forEach(slug => console.log(`     ${label} ${slug}`));
+    }
+    console.log(`${files} (${site.rendered} markdown file(s) rendered)`);
+  } else {
+    console.log(files);
+  }
+
+  if (target.nextSteps) {
+    console.log(`\n${target.nextSteps.join('\n')}`);
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const targetName = args.find(arg => !arg.startsWith('--'));
+  const scaleArg = args.find(arg => arg.startsWith('--scale='));
+  const scale = scaleArg ? Number(scaleArg.slice('--scale='.length)) : 1;
+  if (!TARGETS[targetName]) {
+    if (targetName) console.error(`Unknown target "${targetName}"\n`);
+    console.log('Usage: node scripts/build.js <target> [--clean] [--scale=N]\n\nTargets:');
+    for (const [name, target] of Object.entries(TARGETS)) {
+      console.log(`  ${name.padEnd(8)} ${target.description} (${target.outDir}/)`);
+    }
+    process.exitCode = 1;
+  } else if (!(scale > 0)) {
+    console.error(`Invalid ${scaleArg}: the scale must be a positive number`);
+    process.exitCode = 1;
+  } else {
+    build(targetName, { clean: args.includes('--clean'), scale }).catch(error => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+  }
+}
+
+module.exports = {
+  TARGETS,
+  build,
+  processSite,
+  createOutput,
+  removeStale,
+  diffContent
+};
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createOutput, removeStale, diffContent } = require('./build');
+
+/**
+ * Run a test body against a fresh output directory
+ */
+async function withDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-'));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Write files through a new output and return it
+ */
+async function writeAll(dir, files, previousFiles) {
+  const output = createOutput(dir, previousFiles);
+  for (const [key, contents] of Object.entries(files)) {
+    await output.write(key, contents);
+  }
+  await output.flush();
+  return output;
+}
+
+test('a later write to the same path replaces the earlier one', async () => {
+  await withDir(async dir => {
+    const output = createOutput(dir);
+    await output.write('index.html', 'template');
+    await output.write('/index.html', 'page');
+    await output.flush();
+
+    assert.equal(await fs.readFile(path.join(dir, 'index.html'), 'utf-8'), 'page');
+    assert.deepEqual(Object.keys(output.files), ['index.html']);
+    assert.deepEqual(output.stats, { written: 1, unchanged: 0 });
+  });
+});
+
+test('files unchanged since the last build are not rewritten', async () => {
+  await withDir(async dir => {
+    const first = await writeAll(dir, { 'a.txt': 'one', 'nested/b.txt': 'two' });
+    const second = await writeAll(dir, { 'a.txt': 'one', 'nested/b.txt': 'changed' }, first.files);
+
+    assert.deepEqual(second.stats, { written: 1, unchanged: 1 });
+    assert.equal(await fs.readFile(path.join(dir, 'nested/b.txt'), 'utf-8'), 'changed');
+  });
+});
+
+test('hand edits to the output are undone', async () => {
+  await withDir(async dir => {
+    const first = await writeAll(dir, { 'a.txt': 'one' });
+    await fs.writeFile(path.join(dir, 'a.txt'), 'edited');
+    const second = await writeAll(dir, { 'a.txt': 'one' }, first.files);
+
+    assert.deepEqual(second.stats, { written: 1, unchanged: 0 });
+    assert.equal(await fs.readFile(path.join(dir, 'a.txt'), 'utf-8'), 'one');
+  });
+});
+
+test('removeStale deletes files the build no longer produces and empty directories', async () => {
+  await withDir(async dir => {
+    const first = await writeAll(dir, {
+      'a.txt': 'one',
+      'tree/old/deep/children.json': '[]',
+      'tree/kept/children.json': '[]'
+    });
+    const second = await writeAll(dir, { 'a.txt': 'one', 'tree/kept/children.json': '[]' }, first.files);
+
+    assert.equal(await removeStale(dir, first.files, second.files), 1);
+    assert.deepEqual((await fs.readdir(path.join(dir, 'tree'))).sort(), ['kept']);
+    assert.deepEqual((await fs.readdir(dir)).sort(), ['a.txt', 'tree']);
+  });
+});
+
+test('diffContent sorts slugs into added, updated, removed and unchanged', () => {
+  const previous = { lamps: { hash: 'a' }, chairs: { hash: 'b' }, tables: { hash: 'c' } };
+  assert.deepEqual(diffContent(previous, { lamps: 'a', chairs: 'x', stools: 'd' }), {
+    added: ['stools'],
+    updated: ['chairs'],
+    removed: ['tables'],
+    unchanged: 1
+  });
+  assert.deepEqual(diffContent({}, { lamps: 'a' }), { added: ['lamps'], updated: [], removed: [], unchanged: 0 });
+});
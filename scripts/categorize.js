@@ -2,43 +2,116 @@
 
 /**
  * Content Categorization Script
- * Uses Ollama to analyze Markdown files and suggest ARTISTIC categories
+ * Uses an LLM to analyze Markdown files and suggest ARTISTIC categories
  * 
  * Features:
  * - Analyzes content against existing categories
  * - Suggests poetic/artistic category names (not literal descriptions)
  * - Can add children to existing leaf nodes (convert them to branches)
  * - Allows specifying custom paths
- * - Requires user confirmation before making changes
+ * - Ranks up to three placements; the user picks one by number
+ * - Falls back to a TF-IDF categorizer (offline-categorizer.js) when the
+ *   LLM is unreachable
  * 
  * Usage:
  *   node scripts/categorize.js <file.md>           - Categorize a single file
  *   node scripts/categorize.js --watch             - Watch for new files
+ *   node scripts/categorize.js <file.md> --offline - Skip the LLM
+ *   node scripts/categorize.js <files|dirs|globs> [--yes] [--dry-run] [--json]
+ *                                                  - Categorize many files
+ *
+ * Batch runs exit with 0 when every file was applied (or planned, with
+ * --dry-run), 1 when any failed and 3 when some were skipped.
+ *
+ * PROVIDERS live in scripts/providers/ and export:
+ *   { name, description, defaults, check(settings),
+ *     generate(prompt, settings, { schema }) }
+ * check() resolves to { ok, message?, hint? }; generate() resolves to the
+ * model's text and rejects on errors. Providers that can constrain the
+ * model's output to JSON do so, unless their `json` setting is false.
+ *
+ * The provider comes from categorize.config.json (or the file in
+ * CATEGORIZE_CONFIG):
+ *   { "provider": "ollama", "providers": { "ollama": { "model": "phi3" } } }
+ * and environment variables override it (ENV_SETTINGS).
+ *
+ * RESPONSES are checked against categorize-response.schema.json and against
+ * the tree (node names and paths must exist). A rejected response is sent
+ * back to the model with the problems, up to `repairs` times, before the
+ * offline categorizer takes over.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
-const matter = require('gray-matter');
+const { parseContentFile, readContentDir, FrontmatterError, formatError } = require('../server/frontmatter');
+const { suggestCategory } = require('./offline-categorizer');
+const RESPONSE_SCHEMA = require('./categorize-response.schema.json');
+const Ajv = require('ajv');
 const readline = require('readline');
 
 // Configuration
 const CONFIG = {
-  model: 'phi3',  // Small model that runs well on CPU
-  ollamaUrl: 'http://localhost:11434',
+  provider: 'ollama',
+  repairs: 2,  // Re-prompts after a rejected response
+  configFile: path.join(__dirname, '..', 'categorize.config.json'),
   contentDir: path.join(__dirname, '..', 'content'),
   treeFile: path.join(__dirname, '..', 'categories', 'tree-structure.json')
 };
 
-// Create readline interface for user input
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+const PROVIDERS = {
+  ollama: require('./providers/ollama'),
+  llamacpp: require('./providers/llamacpp'),
+  openai: require('./providers/openai'),
+  mock: require('./providers/mock')
+};
+
+// Environment variables overriding the selected provider's settings
+const ENV_SETTINGS = {
+  url: 'CATEGORIZE_URL',
+  model: 'CATEGORIZE_MODEL',
+  temperature: 'CATEGORIZE_TEMPERATURE',
+  timeout: 'CATEGORIZE_TIMEOUT',
+  apiKey: 'CATEGORIZE_API_KEY',
+  recording: 'CATEGORIZE_RECORDING',
+  json: 'CATEGORIZE_JSON'
+};
+
+// The LLM in use: { provider, settings, repairs, record }, set by main()
+let llm = null;
+
+const validateResponseSchema = new Ajv({ allErrors: true }).compile(RESPONSE_SCHEMA);
+
+// Siblings shown in a branch preview; longer branches show the last ones
+const PREVIEW_SIBLINGS = 6;
+
+// Exit codes of batch runs; 2 is left for unexpected errors, as in check.js
+const EXIT_CODES = {
+  ok: 0,
+  failed: 1,
+  skipped: 3
+};
+
+// With --json, stdout carries only the report and progress goes to stderr
+let jsonOutput = false;
+
+function log(...args) {
+  (jsonOutput ? console.error : console.log)(...args);
+}
+
+// Readline interface for user input, created on the first question so that
+// runs that never ask don't hold stdin open
+let rl = null;
 
 /**
  * Prompt user for input
  */
 function prompt(question) {
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: jsonOutput ? process.stderr : process.stdout
+    });
+  }
   return new Promise((resolve) => {
     rl.question(question, (answer) => {
       resolve(answer.trim());
@@ -46,12 +119,16 @@ function prompt(question) {
   });
 }
 
+function closePrompt() {
+  if (rl) rl.close();
+}
+
 /**
  * Load the current tree structure
  */
-async function loadTree() {
+async function loadTree(treeFile = CONFIG.treeFile) {
   try {
-    const data = await fs.readFile(CONFIG.treeFile, 'utf-8');
+    const data = await fs.readFile(treeFile, 'utf-8');
     return JSON.parse(data);
   } catch (error) {
     console.error('Error loading tree:', error.message);
@@ -62,8 +139,8 @@ async function loadTree() {
 /**
  * Save the tree structure
  */
-async function saveTree(tree) {
-  await fs.writeFile(CONFIG.treeFile, JSON.stringify(tree, null, 2));
+async function saveTree(tree, treeFile = CONFIG.treeFile) {
+  await fs.writeFile(treeFile, JSON.stringify(tree, null, 2));
 }
 
 /**
@@ -95,48 +172,76 @@ function extractAllNodes(node, nodes = [], pathArr = []) {
 }
 
 /**
- * Call Ollama API for categorization
+ * Load the provider and its settings: defaults, then the config file, then
+ * environment variables
+ * @returns {Promise<Object>} { provider, settings, repairs, record: file to
+ *   record responses to, or null }
  */
-async function callOllama(promptText) {
+async function loadLlmConfig(env = process.env) {
+  const configFile = env.CATEGORIZE_CONFIG ? path.resolve(env.CATEGORIZE_CONFIG) : CONFIG.configFile;
+  let fileConfig = {};
   try {
-    const response = await fetch(`${CONFIG.ollamaUrl}/api/generate`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: CONFIG.model,
-        prompt: promptText,
-        stream: false,
-        options: {
-          temperature: 0.7,  // Higher temperature for more creative names
-          num_predict: 500
-        }
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Ollama API error: ${response.status}`);
+    fileConfig = JSON.parse(await fs.readFile(configFile, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT' || env.CATEGORIZE_CONFIG) {
+      throw new Error(`Could not read ${path.relative(process.cwd(), configFile)}: ${error.message}`);
     }
+  }
+
+  const name = env.CATEGORIZE_PROVIDER || fileConfig.provider || CONFIG.provider;
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown provider "${name}" (known: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
 
-    const data = await response.json();
-    return data.response.trim();
+  const settings = { ...provider.defaults, ...fileConfig.providers?.[name] };
+  for (const [key, variable] of Object.entries(ENV_SETTINGS)) {
+    if (env[variable] !== undefined) settings[key] = env[variable];
+  }
+  settings.url = settings.url?.replace(/\/+$/, '');
+  settings.temperature = Number(settings.temperature);
+  settings.timeout = Number(settings.timeout);
+  settings.json = String(settings.json) !== 'false';
+  if (!(settings.temperature >= 0)) throw new Error(`Invalid temperature for ${name}: ${settings.temperature}`);
+  if (!(settings.timeout >= 0)) throw new Error(`Invalid timeout for ${name}: ${settings.timeout}`);
+
+  const repairs = Number(env.CATEGORIZE_REPAIRS ?? fileConfig.repairs ?? CONFIG.repairs);
+  if (!Number.isInteger(repairs) || repairs < 0) throw new Error(`Invalid repairs: ${repairs}`);
+
+  return { provider, settings, repairs, record: env.CATEGORIZE_RECORD || null };
+}
+
+/**
+ * Ask the LLM for a categorization
+ * @param {Object} client - The LLM to ask, as loadLlmConfig returns it
+ * @returns {Promise<string|null>} The response text, null after printing the error
+ */
+async function callLlm(promptText, client = llm) {
+  try {
+    const response = await client.provider.generate(promptText, client.settings, { schema: RESPONSE_SCHEMA });
+    if (client.record) await PROVIDERS.mock.record(client.record, promptText, response);
+    return response;
   } catch (error) {
-    if (error.code === 'ECONNREFUSED') {
-      console.error('\n❌ Error: Ollama is not running.');
-      console.error('   Start it with: ollama serve');
-    } else {
-      console.error('Error calling Ollama:', error.message);
-    }
+    console.error(`\n❌ Error calling ${client.provider.description}: ${error.message}`);
     return null;
   }
 }
 
 /**
- * Read and parse a Markdown file
+ * Read, parse and validate a Markdown file
+ * @returns {Promise<Object|null>} Null, after printing the errors, if the frontmatter is invalid
  */
 async function readMarkdownFile(filePath) {
   const content = await fs.readFile(filePath, 'utf-8');
-  const { data: frontmatter, content: body } = matter(content);
-  return { frontmatter, body, filePath };
+  try {
+    const { frontmatter, body } = parseContentFile(content, path.relative(process.cwd(), filePath));
+    return { frontmatter, body, filePath };
+  } catch (error) {
+    if (!(error instanceof FrontmatterError)) throw error;
+    console.error('❌ Invalid frontmatter:');
+    error.errors.forEach(e => console.error(`   ${formatError(e)}`));
+    return null;
+  }
 }
 
 /**
@@ -179,6 +284,7 @@ YOUR TASK:
 2. Determine if it fits under an EXISTING node or needs a NEW one
 3. If new, suggest a name that MATCHES the existing style exactly
 4. You can suggest adding as a CHILD to any existing node
+5. Rank up to two ALTERNATIVE placements after your recommendation
 
 RESPOND IN THIS EXACT JSON FORMAT:
 {
@@ -193,26 +299,129 @@ RESPOND IN THIS EXACT JSON FORMAT:
     "name": "Simple Name",
     "parentPath": "full path like: Hi, I'm Ibrahim > Thinking > On my desk",
     "reasoning": "why this name fits the style"
-  }
+  },
+  "confidence": number from 0 to 1, how sure you are of the recommendation,
+  "alternatives": [
+    {
+      "recommendation": "existing" or "new",
+      "existingMatch": { same fields as above },
+      "newCategory": { same fields as above },
+      "confidence": number from 0 to 1
+    }
+  ]
+}
+"alternatives" holds up to 2 other placements, the next best first.
 Only respond with valid JSON, no other text.`;
 }
 
 /**
- * Parse JSON from LLM response
+ * Ask the model again, showing its rejected response and what was wrong
+ */
+function buildRepairPrompt(promptText, response, errors) {
+  return `${promptText}
+
+YOUR PREVIOUS RESPONSE:
+${response}
+
+IT WAS REJECTED FOR THESE REASONS:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Fix these problems and respond again with the complete JSON object only.`;
+}
+
+/**
+ * Parse JSON from LLM response, ignoring code fences and text around the object
+ * @returns {Object} { result, errors }
  */
 function parseJsonResponse(response) {
+  let cleaned = response
+    .replace(/```json\s*/gi, '')
+    .replace(/```\s*/gi, '')
+    .trim();
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start !== -1 && end > start) cleaned = cleaned.slice(start, end + 1);
+  
   try {
-    let cleaned = response
-      .replace(/```json\s*/gi, '')
-      .replace(/```\s*/gi, '')
-      .trim();
-    
-    return JSON.parse(cleaned);
+    return { result: JSON.parse(cleaned), errors: [] };
   } catch (error) {
-    console.error('Failed to parse LLM response as JSON');
-    console.error('Raw response:', response);
-    return null;
+    return { result: null, errors: [`The response is not valid JSON: ${error.message}`] };
+  }
+}
+
+/**
+ * Describe an ajv error, e.g. "existingMatch.addAs must be one of: sibling, child, null"
+ */
+function formatSchemaError(error) {
+  const field = error.instancePath.slice(1).replace(/\//g, '.') || 'The response';
+  if (error.keyword === 'enum') {
+    return `${field} must be one of: ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
   }
+  return `${field} ${error.message}`;
+}
+
+/**
+ * Check a parsed response against the tree: the node or parent path it
+ * names must exist, and a new category must not exist already
+ * @returns {Array<string>} Problems, empty if there are none
+ */
+function validateAgainstTree(result, tree) {
+  const errors = [];
+  if (result.recommendation === 'existing') {
+    const { nodeName, addAs } = result.existingMatch;
+    const node = nodeName ? findNodeByName(tree, nodeName) : null;
+    if (!nodeName) {
+      errors.push('existingMatch.nodeName is required when recommendation is "existing"');
+    } else if (!node) {
+      errors.push(`existingMatch.nodeName "${nodeName}" is not a node in the tree; use one of the listed names exactly`);
+    }
+    if (!addAs) {
+      errors.push('existingMatch.addAs must be "sibling" or "child" when recommendation is "existing"');
+    } else if (addAs === 'sibling' && node === tree) {
+      errors.push(`"${nodeName}" is the root and has no siblings; use addAs "child"`);
+    }
+  } else {
+    const { name, parentPath } = result.newCategory;
+    const parent = parentPath ? findNodeByPath(tree, parentPath) : null;
+    if (!name || !name.trim()) {
+      errors.push('newCategory.name is required when recommendation is "new"');
+    }
+    if (!parentPath) {
+      errors.push('newCategory.parentPath is required when recommendation is "new"');
+    } else if (!parent) {
+      errors.push(`newCategory.parentPath "${parentPath}" is not a path in the tree; use one of the listed paths exactly`);
+    } else if (name && parent.children?.some(c => c.name.toLowerCase() === name.trim().toLowerCase())) {
+      errors.push(`"${parentPath}" already has a node named "${name}"; recommend it as "existing" or choose another name`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Parse and validate an LLM response against the schema and the tree
+ * @returns {Object} { result, errors }; result is only usable without errors
+ */
+function checkResponse(response, tree) {
+  const { result, errors } = parseJsonResponse(response);
+  if (errors.length > 0) return { result, errors };
+  if (!validateResponseSchema(result)) {
+    return { result, errors: validateResponseSchema.errors.map(formatSchemaError) };
+  }
+  
+  const treeErrors = validateAgainstTree(result, tree);
+  if (treeErrors.length === 0 && result.alternatives) {
+    // Alternatives that don't fit the tree are dropped; they aren't worth a repair
+    result.alternatives = result.alternatives.filter(alternative => validateAgainstTree(alternative, tree).length === 0);
+  }
+  return { result, errors: treeErrors };
+}
+
+/**
+ * Categorize without an LLM, against the content already in the tree
+ */
+async function categorizeOffline(content, allNodes) {
+  const { documents } = await readContentDir(CONFIG.contentDir);
+  return suggestCategory(content, allNodes, documents, path.basename(content.filePath, '.md'));
 }
 
 /**
@@ -267,7 +476,7 @@ function addChildNode(parentNode, newNode) {
   // Check if node already exists
   const exists = parentNode.children.some(c => c.name === newNode.name);
   if (exists) {
-    console.log(`Node "${newNode.name}" already exists`);
+    log(`Node "${newNode.name}" already exists`);
     return false;
   }
   
@@ -276,35 +485,243 @@ function addChildNode(parentNode, newNode) {
 }
 
 /**
- * Add a node as sibling (under same parent)
+ * Find the parent of the node with the given name
+ */
+function findParentNode(node, targetName, parent = null) {
+  if (node.name === targetName) return parent;
+  if (node.children) {
+    for (const child of node.children) {
+      const found = findParentNode(child, targetName, node);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the node showing a content file
+ */
+function findNodeBySlug(tree, slug) {
+  if (tree.slug === slug) return tree;
+  for (const child of tree.children || []) {
+    const found = findNodeBySlug(child, slug);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Full path of a node, like extractAllNodes' paths
  */
-function addSiblingNode(tree, existingNodeName, newNode) {
-  function findParent(node, targetName, parent = null) {
-    if (node.name === targetName) return parent;
-    if (node.children) {
-      for (const child of node.children) {
-        const found = findParent(child, targetName, node);
-        if (found) return found;
+function getNodePath(tree, target, trail = []) {
+  const current = [...trail, tree.name];
+  if (tree === target) return current.join(' > ');
+  for (const child of tree.children || []) {
+    const found = getNodePath(child, target, current);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Analyze content with the LLM, or offline if asked or the LLM gives no usable answer
+ * @param {Object} options
+ * @param {boolean} options.offline - Use the offline categorizer, not the LLM
+ * @param {Object} options.client - The LLM to ask; defaults to the configured one
+ */
+async function analyzeContent(content, tree, { offline = false, client = llm } = {}) {
+  const allNodes = extractAllNodes(tree);
+  let result = null;
+  if (!offline) {
+    const promptText = buildPrompt(content, allNodes);
+    log(`\n🤖 Analyzing with ${client.provider.description}, ${client.settings.model} (creative mode)...\n`);
+    
+    let attemptPrompt = promptText;
+    for (let attempt = 0; attempt <= client.repairs; attempt++) {
+      const response = await callLlm(attemptPrompt, client);
+      if (!response) break;
+      
+      const checked = checkResponse(response, tree);
+      if (checked.errors.length === 0) {
+        result = checked.result;
+        break;
+      }
+      
+      log('⚠️  Response rejected:');
+      checked.errors.forEach(e => log(`   - ${e}`));
+      if (attempt < client.repairs) {
+        log(`   Asking again (repair ${attempt + 1} of ${client.repairs})...\n`);
+        attemptPrompt = buildRepairPrompt(promptText, response, checked.errors);
       }
     }
-    return null;
+    
+    if (!result) {
+      log('\n↩️  No usable answer from the LLM, falling back to the offline categorizer.');
+    }
   }
   
-  const parent = findParent(tree, existingNodeName);
-  if (!parent) {
-    console.error(`Could not find parent of "${existingNodeName}"`);
-    return false;
+  if (!result) {
+    log('\n📐 Analyzing offline (TF-IDF against existing content)...\n');
+    result = await categorizeOffline(content, allNodes);
+  }
+  
+  return result;
+}
+
+/**
+ * The placements of an analysis result, best first: the recommendation,
+ * then its alternatives
+ */
+function getPlacements(result) {
+  return [result, ...(result.alternatives || [])].map(placement => ({
+    recommendation: placement.recommendation,
+    existingMatch: placement.existingMatch,
+    newCategory: placement.newCategory,
+    confidence: typeof placement.confidence === 'number' ? placement.confidence : null,
+    reasoning: (placement.recommendation === 'new' ? placement.newCategory : placement.existingMatch)?.reasoning || null
+  }));
+}
+
+/**
+ * Plan every placement of a result, numbered from 1, leaving out
+ * placements that would make the same change as a better one
+ * @returns {Array<Object>} Candidates: { rank, recommendation, confidence,
+ *   reasoning, status, reason, change, branch }; branch lists the names
+ *   under the parent once the change is made
+ */
+function rankPlacements(result, content, tree) {
+  const seen = new Set();
+  const candidates = [];
+  for (const placement of getPlacements(result)) {
+    const plan = planChange(placement, content, tree);
+    if (plan.change) {
+      const key = `${plan.change.parentPath}\n${plan.change.name}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+    }
+    
+    const parent = plan.change ? findNodeByPath(tree, plan.change.parentPath) : null;
+    candidates.push({
+      rank: candidates.length + 1,
+      recommendation: placement.recommendation,
+      confidence: placement.confidence,
+      reasoning: placement.reasoning,
+      status: plan.status,
+      reason: plan.reason || null,
+      change: plan.change || null,
+      branch: parent ? [...(parent.children || []).map(c => c.name), plan.change.name] : null
+    });
   }
+  return candidates;
+}
+
+/**
+ * Draw the branch a candidate changes, the new node marked with +
+ */
+function formatBranch(candidate, indent) {
+  const names = candidate.branch.slice(0, -1);
+  const shown = names.slice(-PREVIEW_SIBLINGS);
+  const lines = [`${indent}${candidate.change.parentPath}`];
+  if (names.length > shown.length) lines.push(`${indent}├── … ${names.length - shown.length} more`);
+  shown.forEach(name => lines.push(`${indent}├── ${name}`));
+  lines.push(`${indent}└── + ${candidate.change.name}`);
+  return lines;
+}
+
+function formatConfidence(confidence) {
+  return confidence === null ? '  ?' : `${Math.round(confidence * 100)}%`.padStart(4);
+}
+
+/**
+ * Print an analysis result and its ranked placements
+ */
+function printResult(result, candidates) {
+  log('📊 Analysis Result:');
+  log(`   Summary: ${result.summary}`);
   
-  return addChildNode(parent, newNode);
+  for (const candidate of candidates) {
+    const icon = candidate.recommendation === 'new' ? '✨' : '📁';
+    const description = candidate.change ? describeChange(candidate.change) : candidate.reason;
+    log(`\n   [${candidate.rank}] ${formatConfidence(candidate.confidence)}  ${icon} ${description}`);
+    if (candidate.reasoning) log(`          Reason: ${candidate.reasoning}`);
+    if (candidate.status !== 'planned') {
+      log(`          Not possible: ${candidate.reason}`);
+    } else {
+      formatBranch(candidate, '          ').forEach(line => log(line));
+    }
+  }
+}
+
+/**
+ * Work out the tree change a placement asks for, without making it
+ * @returns {Object} { status: 'planned', change: { name, slug, parentPath, addAs, target } }
+ *   or { status: 'skipped' | 'failed', reason }
+ */
+function planChange(result, content, tree) {
+  const slug = path.basename(content.filePath, '.md');
+  const existingNode = findNodeBySlug(tree, slug);
+  if (existingNode) {
+    return { status: 'skipped', reason: `Already in the tree as "${existingNode.name}"` };
+  }
+  
+  let parent;
+  let name;
+  let addAs = 'child';
+  let target;
+  if (result.recommendation === 'new' && result.newCategory?.name) {
+    // Use the name as-is (no formatting)
+    name = result.newCategory.name;
+    target = result.newCategory.parentPath;
+    parent = findNodeByPath(tree, target);
+    if (!parent) return { status: 'failed', reason: `Parent path not found: "${target}"` };
+  } else if (result.recommendation === 'existing' && result.existingMatch?.nodeName) {
+    // Use title as-is or slug as fallback
+    name = content.frontmatter.title || slug;
+    target = result.existingMatch.nodeName;
+    addAs = result.existingMatch.addAs === 'child' ? 'child' : 'sibling';
+    parent = addAs === 'child' ? findNodeByName(tree, target) : findParentNode(tree, target);
+    if (!parent) return { status: 'failed', reason: `Node not found: "${target}"` };
+  } else {
+    return { status: 'failed', reason: 'The recommendation names no node' };
+  }
+  
+  if (parent.children?.some(c => c.name === name)) {
+    return { status: 'skipped', reason: `Node "${name}" already exists` };
+  }
+  
+  return {
+    status: 'planned',
+    change: { name, slug, parentPath: getNodePath(tree, parent), addAs, target }
+  };
+}
+
+/**
+ * Make a planned change to the tree (in memory)
+ */
+function applyChange(change, tree) {
+  return addChildNode(findNodeByPath(tree, change.parentPath), {
+    name: change.name,
+    slug: change.slug,
+    children: null
+  });
+}
+
+/**
+ * One line describing a planned change
+ */
+function describeChange(change) {
+  const relation = change.addAs === 'sibling' ? ` (next to "${change.target}")` : '';
+  return `Add "${change.name}" under "${change.parentPath}"${relation}`;
 }
 
 /**
  * Main categorization function
+ * @param {Object} options
+ * @param {boolean} options.offline - Use the offline categorizer, not the LLM
  */
-async function categorizeFile(filePath) {
-  console.log(`\n📄 Processing: ${path.basename(filePath)}`);
-  console.log('─'.repeat(50));
+async function categorizeFile(filePath, { offline = false } = {}) {
+  log(`\n📄 Processing: ${path.basename(filePath)}`);
+  log('─'.repeat(50));
   
   const tree = await loadTree();
   if (!tree) {
@@ -314,46 +731,25 @@ async function categorizeFile(filePath) {
 
   const allNodes = extractAllNodes(tree);
   const content = await readMarkdownFile(filePath);
-  console.log(`   Title: ${content.frontmatter.title || 'Untitled'}`);
+  if (!content) return null;
+  log(`   Title: ${content.frontmatter.title || 'Untitled'}`);
   
-  const promptText = buildPrompt(content, allNodes);
-  console.log('\n🤖 Analyzing with Ollama (creative mode)...\n');
-  
-  const response = await callOllama(promptText);
-  if (!response) return null;
-
-  const result = parseJsonResponse(response);
-  if (!result) {
-    console.error('Could not parse AI response');
-    return null;
-  }
-
-  // Display analysis
-  console.log('📊 Analysis Result:');
-  console.log(`   Summary: ${result.summary}`);
-  console.log(`   Recommendation: ${result.recommendation.toUpperCase()}`);
-  
-  if (result.recommendation === 'existing' && result.existingMatch?.nodeName) {
-    console.log(`\n   📁 Match: "${result.existingMatch.nodeName}"`);
-    console.log(`   Add as: ${result.existingMatch.addAs}`);
-    console.log(`   Reason: ${result.existingMatch.reasoning}`);
-  } else if (result.recommendation === 'new' && result.newCategory?.name) {
-    console.log(`\n   ✨ New category: "${result.newCategory.name}"`);
-    console.log(`   Location: under "${result.newCategory.parentPath}"`);
-    console.log(`   Reason: ${result.newCategory.reasoning}`);
-  }
+  const result = await analyzeContent(content, tree, { offline });
+  const candidates = rankPlacements(result, content, tree);
+  printResult(result, candidates);
   
   // User confirmation
-  console.log('\n' + '─'.repeat(50));
-  const action = await promptUserAction(result, content, tree);
+  log('\n' + '─'.repeat(50));
+  const { action, candidate } = await promptUserAction(candidates);
   
   if (action === 'confirm') {
-    await applyChanges(result, content, tree);
-    console.log('\n✅ Changes applied! Restart server to see updates.');
+    if (await applyChanges(candidate, tree)) {
+      log('\n✅ Changes applied! A running server picks up the change automatically.');
+    }
   } else if (action === 'custom') {
     await handleCustomCategory(content, tree, allNodes);
   } else {
-    console.log('\n❌ Operation cancelled.');
+    log('\n❌ Operation cancelled.');
   }
   
   return result;
@@ -361,91 +757,244 @@ async function categorizeFile(filePath) {
 
 /**
  * Prompt user for action
+ * @returns {Promise<Object>} { action: 'confirm' | 'custom' | 'cancel', candidate }
  */
-async function promptUserAction(result, content, tree) {
-  console.log('\nWhat would you like to do?');
-  console.log('  [y] Accept recommendation');
-  console.log('  [n] Cancel operation');
-  console.log('  [c] Specify custom category/path');
+async function promptUserAction(candidates) {
+  const numbers = candidates.length > 1 ? `1-${candidates.length}` : '1';
+  log('\nWhat would you like to do?');
+  log(`  [${numbers}] Accept that placement (y: the first)`);
+  log('  [n] Cancel operation');
+  log('  [c] Specify custom category/path');
   
-  const answer = await prompt('\nYour choice (y/n/c): ');
+  const answer = (await prompt(`\nYour choice (${numbers}/n/c): `)).toLowerCase();
+  const rank = answer === 'y' || answer === 'yes' ? 1 : Number(answer);
+  const candidate = candidates.find(c => c.rank === rank);
   
-  switch (answer.toLowerCase()) {
-    case 'y':
-    case 'yes':
-      return 'confirm';
-    case 'c':
-    case 'custom':
-      return 'custom';
-    default:
-      return 'cancel';
+  if (candidate) return { action: 'confirm', candidate };
+  if (answer === 'c' || answer === 'custom') return { action: 'custom' };
+  return { action: 'cancel' };
+}
+
+/**
+ * Apply the chosen placement
+ * @returns {Promise<boolean>} Whether the tree was changed
+ */
+async function applyChanges(candidate, tree) {
+  if (candidate.status !== 'planned') {
+    console.error(`   ${candidate.reason}`);
+    if (candidate.status === 'failed') log('   Try using custom category option.');
+    return false;
   }
+  
+  applyChange(candidate.change, tree);
+  await saveTree(tree);
+  log(`   ${describeChange(candidate.change)}`);
+  return true;
 }
 
 /**
- * Apply the recommended changes
+ * Categorize many files in one run: analyze each, print the plan of tree
+ * changes, then write them all (--yes, or after one confirmation) or none
+ * (--dry-run). Files are planned against the tree with the earlier files'
+ * changes made, so they can land in categories created in the same run.
+ * Each file gets its best possible placement; the report lists them all.
+ * @param {Array<string>} inputs - Files, directories and glob patterns
+ * @param {Object} options
+ * @param {boolean} options.offline - Use the offline categorizer, not the LLM
+ * @param {boolean} options.yes - Apply without asking
+ * @param {boolean} options.dryRun - Only print the plan
+ * @param {Object} options.client - The LLM to ask; defaults to the configured one
+ * @param {string} options.treeFile - The tree to plan against and change
+ * @returns {Promise<Object>} Report: { dryRun, files: [{ file, status, reason,
+ *   recommendation, confidence, change, candidates }], counts }; candidates
+ *   are rankPlacements' for the file
  */
-async function applyChanges(result, content, tree) {
-  const slug = path.basename(content.filePath, '.md');
+async function categorizeBatch(inputs, {
+  offline = false,
+  yes = false,
+  dryRun = false,
+  client = llm,
+  treeFile = CONFIG.treeFile
+} = {}) {
+  const tree = await loadTree(treeFile);
+  if (!tree) throw new Error('Could not load tree structure');
   
-  if (result.recommendation === 'new' && result.newCategory?.name) {
-    // Use the name as-is (no formatting)
-    const newNode = {
-      name: result.newCategory.name,
-      slug: slug,
-      children: null
-    };
+  const draft = structuredClone(tree);
+  const files = [];
+  const entry = (filePath, fields) => {
+    const item = { file: path.relative(process.cwd(), filePath), status: 'failed', reason: null, ...fields };
+    files.push(item);
+    return item;
+  };
+  
+  const { found, missing } = await expandInputs(inputs);
+  missing.forEach(input => entry(input, { reason: 'No such file, directory or match' }));
+  
+  for (const filePath of found) {
+    log(`\n📄 Processing: ${path.relative(process.cwd(), filePath)}`);
+    log('─'.repeat(50));
     
-    const parentPath = result.newCategory.parentPath;
-    const parent = findNodeByPath(tree, parentPath);
+    // Don't spend an analysis on files the tree already shows
+    const existingNode = findNodeBySlug(draft, path.basename(filePath, '.md'));
+    if (existingNode) {
+      entry(filePath, { status: 'skipped', reason: `Already in the tree as "${existingNode.name}"` });
+      log(`   Already in the tree as "${existingNode.name}"`);
+      continue;
+    }
     
-    if (parent) {
-      if (addChildNode(parent, newNode)) {
-        await saveTree(tree);
-        console.log(`   Added "${result.newCategory.name}" under "${parentPath}"`);
-      }
-    } else {
-      console.error(`   Parent path not found: "${parentPath}"`);
-      console.log('   Try using custom category option.');
+    let content;
+    try {
+      content = await readMarkdownFile(filePath);
+    } catch (error) {
+      entry(filePath, { reason: error.message });
+      console.error(`❌ ${error.message}`);
+      continue;
+    }
+    if (!content) {
+      entry(filePath, { reason: 'Invalid frontmatter' });
+      continue;
     }
-  } else if (result.recommendation === 'existing' && result.existingMatch?.nodeName) {
-    // Use title as-is or slug as fallback
-    const nodeName = content.frontmatter.title || slug;
-    const newNode = {
-      name: nodeName,
-      slug: slug,
-      children: null
-    };
     
-    if (result.existingMatch.addAs === 'child') {
-      const parent = findNodeByName(tree, result.existingMatch.nodeName);
-      if (parent && addChildNode(parent, newNode)) {
-        await saveTree(tree);
-        console.log(`   Added "${nodeName}" as child of "${result.existingMatch.nodeName}"`);
+    const result = await analyzeContent(content, draft, { offline, client });
+    const candidates = rankPlacements(result, content, draft);
+    printResult(result, candidates);
+    
+    const chosen = candidates.find(c => c.status === 'planned') || candidates[0];
+    entry(filePath, {
+      status: chosen.status,
+      reason: chosen.reason,
+      recommendation: chosen.recommendation,
+      confidence: chosen.confidence,
+      change: chosen.change,
+      candidates
+    });
+    if (chosen.change) applyChange(chosen.change, draft);
+  }
+  
+  // The plan
+  log('\n' + '─'.repeat(50));
+  log('📋 Plan:');
+  for (const item of files) {
+    if (item.status === 'planned') {
+      log(`   + ${item.file}: ${describeChange(item.change)}`);
+    } else {
+      log(`   ${item.status === 'skipped' ? '=' : '✗'} ${item.file}: ${item.status}, ${item.reason}`);
+    }
+  }
+  
+  const planned = files.filter(item => item.status === 'planned');
+  if (planned.length === 0) {
+    log('\n   No changes to make.');
+  } else if (dryRun) {
+    log(`\n🧪 Dry run: ${planned.length} change(s) not written.`);
+  } else if (yes || (await prompt(`\nApply ${planned.length} change(s)? (y/n): `)).toLowerCase().startsWith('y')) {
+    await saveTree(draft, treeFile);
+    planned.forEach(item => { item.status = 'applied'; });
+    log(`\n✅ Applied ${planned.length} change(s). A running server picks up the change automatically.`);
+  } else {
+    planned.forEach(item => Object.assign(item, { status: 'skipped', reason: 'Not confirmed' }));
+    log('\n❌ Operation cancelled.');
+  }
+  
+  const counts = { planned: 0, applied: 0, skipped: 0, failed: 0 };
+  files.forEach(item => { counts[item.status]++; });
+  log(`\n   Files: ${counts.applied} applied, ${counts.planned} planned, ${counts.skipped} skipped, ${counts.failed} failed`);
+  
+  return { dryRun, files, counts };
+}
+
+/**
+ * Exit code for a batch report: failures win over skips
+ */
+function getExitCode({ counts }) {
+  if (counts.failed > 0) return EXIT_CODES.failed;
+  if (counts.skipped > 0) return EXIT_CODES.skipped;
+  return EXIT_CODES.ok;
+}
+
+function hasGlob(input) {
+  return /[*?]/.test(input);
+}
+
+/**
+ * Turn a glob pattern (*, ** and ?) into a regular expression over '/' paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
       }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
     } else {
-      if (addSiblingNode(tree, result.existingMatch.nodeName, newNode)) {
-        await saveTree(tree);
-        console.log(`   Added "${nodeName}" as sibling to "${result.existingMatch.nodeName}"`);
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Resolve files, directories (their .md files) and glob patterns to
+ * Markdown files, sorted and without duplicates
+ * @returns {Promise<Object>} { found: absolute paths, missing: inputs that matched nothing }
+ */
+async function expandInputs(inputs) {
+  const found = new Set();
+  const missing = [];
+  
+  for (const input of inputs) {
+    let matches = [];
+    if (hasGlob(input)) {
+      const parts = input.split(/[\\/]/);
+      const firstGlob = parts.findIndex(hasGlob);
+      const base = parts.slice(0, firstGlob).join('/') || '.';
+      const matcher = globToRegExp(parts.slice(firstGlob).join('/'));
+      const entries = await fs.readdir(base, { recursive: true }).catch(() => []);
+      matches = entries
+        .map(entry => entry.split(path.sep).join('/'))
+        .filter(entry => entry.endsWith('.md') && matcher.test(entry))
+        .map(entry => path.resolve(base, entry));
+    } else {
+      const stats = await fs.stat(input).catch(() => null);
+      if (stats?.isDirectory()) {
+        const entries = await fs.readdir(input);
+        matches = entries.filter(name => name.endsWith('.md')).map(name => path.resolve(input, name));
+      } else if (stats) {
+        matches = [path.resolve(input)];
       }
     }
+    
+    if (matches.length === 0) missing.push(path.resolve(input));
+    matches.forEach(match => found.add(match));
   }
+  
+  return { found: [...found].sort(), missing };
 }
 
 /**
  * Handle custom category input
  */
 async function handleCustomCategory(content, tree, allNodes) {
-  console.log('\n📝 Custom Category Setup');
-  console.log('─'.repeat(50));
+  log('\n📝 Custom Category Setup');
+  log('─'.repeat(50));
   
   // Show all nodes as potential parents
-  console.log('\nAvailable locations (can add children to ANY node):');
+  log('\nAvailable locations (can add children to ANY node):');
   allNodes.forEach((n, i) => {
     const type = n.hasChildren ? '📁' : '📄';
-    console.log(`  [${i + 1}] ${type} ${n.path}`);
+    log(`  [${i + 1}] ${type} ${n.path}`);
   });
-  console.log(`  [${allNodes.length + 1}] 🏠 Root level`);
+  log(`  [${allNodes.length + 1}] 🏠 Root level`);
   
   const parentChoice = await prompt('\nSelect parent location (number): ');
   const parentIndex = parseInt(parentChoice) - 1;
@@ -456,14 +1005,14 @@ async function handleCustomCategory(content, tree, allNodes) {
   } else if (parentIndex >= 0 && parentIndex < allNodes.length) {
     parentNode = findNodeByName(tree, allNodes[parentIndex].name);
   } else {
-    console.log('Invalid selection, using root level.');
+    log('Invalid selection, using root level.');
     parentNode = tree;
   }
   
   const categoryName = await prompt('Enter category name: ');
   
   if (!categoryName) {
-    console.log('No category name provided, cancelling.');
+    log('No category name provided, cancelling.');
     return;
   }
   
@@ -477,41 +1026,30 @@ async function handleCustomCategory(content, tree, allNodes) {
   
   if (addChildNode(parentNode, newNode)) {
     await saveTree(tree);
-    console.log(`\n✅ Added "${categoryName}"`);
-    console.log('   Restart server to see updates.');
+    log(`\n✅ Added "${categoryName}"`);
+    log('   A running server picks up the change automatically.');
   }
 }
 
 /**
- * Check if Ollama is running
+ * Check that the LLM is reachable and ready
  */
-async function checkOllama() {
-  try {
-    const response = await fetch(`${CONFIG.ollamaUrl}/api/tags`);
-    if (response.ok) {
-      const data = await response.json();
-      const hasModel = data.models?.some(m => m.name.startsWith(CONFIG.model));
-      if (!hasModel) {
-        console.log(`\n⚠️  Model '${CONFIG.model}' not found.`);
-        console.log(`   Pull it with: ollama pull ${CONFIG.model}\n`);
-        return false;
-      }
-      return true;
-    }
-  } catch {
-    console.log('\n❌ Ollama is not running.');
-    console.log('   Start it with: ollama serve\n');
-    return false;
+async function checkLlm() {
+  const { ok, message, hint } = await llm.provider.check(llm.settings);
+  if (!ok) {
+    log(`\n❌ ${message}`);
+    if (hint) log(`   ${hint}\n`);
   }
-  return false;
+  return ok;
 }
 
 /**
  * Watch for new files
+ * @param {Object} options - categorizeFile options
  */
-async function watchForChanges() {
-  console.log(`\n👀 Watching ${CONFIG.contentDir} for new files...`);
-  console.log('   Press Ctrl+C to stop.\n');
+async function watchForChanges(options) {
+  log(`\n👀 Watching ${CONFIG.contentDir} for new files...`);
+  log('   Press Ctrl+C to stop.\n');
 
   const { watch } = require('fs');
   
@@ -520,7 +1058,7 @@ async function watchForChanges() {
       const filePath = path.join(CONFIG.contentDir, filename);
       try {
         await fs.access(filePath);
-        await categorizeFile(filePath);
+        await categorizeFile(filePath, options);
       } catch {
         // File was deleted, ignore
       }
@@ -534,23 +1072,31 @@ async function watchForChanges() {
  * Print usage
  */
 function printUsage() {
-  console.log(`
+  log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║       Content Categorization Script (Artistic Mode)           ║
 ╚═══════════════════════════════════════════════════════════════╝
 
 Usage:
   node scripts/categorize.js <file.md>    Categorize a single file
+  node scripts/categorize.js <inputs...>  Categorize files, directories, globs
   node scripts/categorize.js --watch      Watch for new files
+  --offline                               Skip the LLM, use TF-IDF matching
+  --yes                                   Apply the plan without asking
+  --dry-run                               Print the plan, change nothing
+  --json                                  Print a JSON report on stdout
+
+Exit codes (batch): 0 all applied, 1 some failed, 3 some skipped
 
 Features:
   • Suggests ARTISTIC category names (not literal descriptions)
   • Can add children to ANY node (even leaves become branches)
   • Custom path specification for full control
 
-Requirements:
-  • Ollama running (ollama serve)
-  • Model '${CONFIG.model}' (ollama pull ${CONFIG.model})
+Providers (CATEGORIZE_PROVIDER or categorize.config.json):
+${Object.values(PROVIDERS).map(p => `  ${p.name.padEnd(10)} ${p.description}`).join('\n')}
+  Default: Ollama running (ollama serve) with '${PROVIDERS.ollama.defaults.model}' pulled.
+  Without a reachable LLM, files are matched offline against existing content.
 `);
 }
 
@@ -562,29 +1108,70 @@ async function main() {
   
   if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
     printUsage();
-    rl.close();
+    closePrompt();
     return;
   }
   
-  const ollamaReady = await checkOllama();
-  if (!ollamaReady) {
-    rl.close();
-    process.exit(1);
+  jsonOutput = args.includes('--json');
+  let offline = args.includes('--offline');
+  try {
+    llm = await loadLlmConfig();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    closePrompt();
+    process.exitCode = 2;
+    return;
+  }
+  if (!offline && !(await checkLlm())) {
+    log('   Using the offline categorizer instead.\n');
+    offline = true;
   }
 
+  const inputs = args.filter(arg => !arg.startsWith('--'));
+  const yes = args.includes('--yes');
+  const dryRun = args.includes('--dry-run');
+  const single = inputs.length === 1 && !yes && !dryRun && !jsonOutput && !hasGlob(inputs[0]) &&
+    (await fs.stat(inputs[0]).catch(() => null))?.isFile();
+  
   if (args.includes('--watch')) {
-    await watchForChanges();
-  } else if (args.length > 0 && !args[0].startsWith('--')) {
-    const filePath = path.resolve(args[0]);
-    await categorizeFile(filePath);
-    rl.close();
+    await watchForChanges({ offline });
+  } else if (single) {
+    const filePath = path.resolve(inputs[0]);
+    await categorizeFile(filePath, { offline });
+    closePrompt();
+  } else if (inputs.length > 0) {
+    const report = await categorizeBatch(inputs, { offline, yes, dryRun });
+    closePrompt();
+    if (jsonOutput) console.log(JSON.stringify(report, null, 2));
+    process.exitCode = getExitCode(report);
   } else {
     printUsage();
-    rl.close();
+    closePrompt();
   }
 }
 
-main().catch((err) => {
-  console.error(err);
-  rl.close();
-});
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err);
+    closePrompt();
+    process.exitCode = 2;
+  });
+}
+
+module.exports = {
+  extractAllNodes,
+  loadLlmConfig,
+  parseJsonResponse,
+  formatSchemaError,
+  validateAgainstTree,
+  checkResponse,
+  buildRepairPrompt,
+  analyzeContent,
+  planChange,
+  rankPlacements,
+  categorizeBatch,
+  getExitCode,
+  EXIT_CODES,
+  expandInputs,
+  globToRegExp
+};
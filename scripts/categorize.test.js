@@ -0,0 +1,424 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  loadLlmConfig,
+  parseJsonResponse,
+  checkResponse,
+  validateAgainstTree,
+  buildRepairPrompt,
+  analyzeContent,
+  rankPlacements,
+  categorizeBatch,
+  getExitCode,
+  EXIT_CODES,
+  expandInputs,
+  globToRegExp
+} = require('./categorize');
+
+/**
+ * A small tree; fresh for every test, as changes are made in place
+ */
+function makeTree() {
+  return {
+    name: 'Root',
+    slug: 'about',
+    children: [
+      {
+        name: 'Making',
+        slug: null,
+        children: [
+          { name: 'Lamps', slug: 'lamps', children: null },
+          { name: 'Chairs', slug: 'chairs', children: null }
+        ]
+      },
+      { name: 'Reading', slug: 'reading', children: null }
+    ]
+  };
+}
+
+const content = {
+  frontmatter: { title: 'Paper stools', description: 'Stools folded from paper' },
+  body: 'Folding stools from paper tubes.',
+  filePath: '/content/paper-stools.md'
+};
+
+function existing(nodeName, addAs, confidence = 0.8) {
+  return {
+    recommendation: 'existing',
+    existingMatch: { nodeName, addAs, reasoning: null },
+    newCategory: { name: null, parentPath: null, reasoning: null },
+    confidence
+  };
+}
+
+function newCategory(name, parentPath, confidence = 0.6) {
+  return {
+    recommendation: 'new',
+    existingMatch: { nodeName: null, addAs: null, reasoning: null },
+    newCategory: { name, parentPath, reasoning: null },
+    confidence
+  };
+}
+
+function response(placement, fields = {}) {
+  return JSON.stringify({ summary: 'Paper stools', ...placement, ...fields });
+}
+
+/**
+ * A provider answering with the given responses in turn; `prompts`
+ * collects what it was asked
+ */
+function fakeClient(responses, repairs = 2) {
+  const prompts = [];
+  const provider = {
+    description: 'fake',
+    async generate(promptText) {
+      prompts.push(promptText);
+      const next = responses[prompts.length - 1];
+      if (next instanceof Error) throw next;
+      return next;
+    }
+  };
+  return { client: { provider, settings: { model: 'test' }, repairs, record: null }, prompts };
+}
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+/**
+ * Load the LLM config from a config file with the given contents
+ */
+async function loadWithConfig(config, env = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'categorize-config-'));
+  try {
+    const configFile = path.join(dir, 'categorize.config.json');
+    await fs.writeFile(configFile, JSON.stringify(config));
+    return await loadLlmConfig({ CATEGORIZE_CONFIG: configFile, ...env });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('loadLlmConfig starts from the provider defaults', async () => {
+  const { provider, settings, repairs, record } = await loadWithConfig({});
+  assert.equal(provider.name, 'ollama');
+  assert.deepEqual(settings, provider.defaults);
+  assert.equal(repairs, 2);
+  assert.equal(record, null);
+});
+
+test('loadLlmConfig lets the config file override the defaults', async () => {
+  const { provider, settings, repairs } = await loadWithConfig({
+    provider: 'openai',
+    repairs: 1,
+    providers: {
+      openai: { url: 'http://localhost:1234/', model: 'local-model' },
+      ollama: { model: 'ignored' }
+    }
+  });
+  assert.equal(provider.name, 'openai');
+  assert.deepEqual(settings, { ...provider.defaults, url: 'http://localhost:1234', model: 'local-model' });
+  assert.equal(repairs, 1);
+});
+
+test('loadLlmConfig lets environment variables override the config file', async () => {
+  const { provider, settings, repairs, record } = await loadWithConfig({
+    provider: 'openai',
+    repairs: 1,
+    providers: { llamacpp: { url: 'http://file:8080', model: 'file-model', temperature: 0.9 } }
+  }, {
+    CATEGORIZE_PROVIDER: 'llamacpp',
+    CATEGORIZE_MODEL: 'env-model',
+    CATEGORIZE_TEMPERATURE: '0.2',
+    CATEGORIZE_JSON: 'false',
+    CATEGORIZE_REPAIRS: '0',
+    CATEGORIZE_RECORD: 'recording.json'
+  });
+  assert.equal(provider.name, 'llamacpp');
+  assert.deepEqual(settings, {
+    ...provider.defaults,
+    url: 'http://file:8080',
+    model: 'env-model',
+    temperature: 0.2,
+    json: false
+  });
+  assert.equal(repairs, 0);
+  assert.equal(record, 'recording.json');
+});
+
+test('loadLlmConfig rejects unknown providers and invalid settings', async () => {
+  await assert.rejects(loadWithConfig({ provider: 'nope' }), {
+    message: 'Unknown provider "nope" (known: ollama, llamacpp, openai, mock)'
+  });
+  await assert.rejects(loadWithConfig({}, { CATEGORIZE_PROVIDER: 'gpt' }), /^Error: Unknown provider "gpt"/);
+  await assert.rejects(loadWithConfig({}, { CATEGORIZE_TEMPERATURE: 'hot' }), /Invalid temperature for ollama: NaN/);
+  await assert.rejects(loadWithConfig({ repairs: -1 }), /Invalid repairs: -1/);
+  await assert.rejects(loadLlmConfig({ CATEGORIZE_CONFIG: path.join(os.tmpdir(), 'no-such-config.json') }), /^Error: Could not read /);
+});
+
+test('parseJsonResponse ignores code fences and text around the object', () => {
+  const { result, errors } = parseJsonResponse('Here you go:\n```json\n{"summary": "x"}\n```\nHope that helps!');
+  assert.deepEqual(result, { summary: 'x' });
+  assert.deepEqual(errors, []);
+
+  const broken = parseJsonResponse('{"summary": }');
+  assert.equal(broken.result, null);
+  assert.match(broken.errors[0], /^The response is not valid JSON: /);
+});
+
+test('checkResponse reports schema errors by field', () => {
+  const { errors } = checkResponse(JSON.stringify({
+    ...existing('Making', 'under'),
+    confidence: 2
+  }), makeTree());
+  assert.deepEqual(errors, [
+    "The response must have required property 'summary'",
+    'existingMatch.addAs must be one of: "sibling", "child", null',
+    'confidence must be <= 1'
+  ]);
+});
+
+test('validateAgainstTree accepts placements that fit the tree', () => {
+  const tree = makeTree();
+  assert.deepEqual(validateAgainstTree(existing('Making', 'child'), tree), []);
+  assert.deepEqual(validateAgainstTree(existing('Lamps', 'sibling'), tree), []);
+  assert.deepEqual(validateAgainstTree(newCategory('Paper', 'Root > Making'), tree), []);
+});
+
+test('validateAgainstTree rejects names and paths not in the tree', () => {
+  const tree = makeTree();
+  assert.deepEqual(validateAgainstTree(existing('Tables', 'child'), tree), [
+    'existingMatch.nodeName "Tables" is not a node in the tree; use one of the listed names exactly'
+  ]);
+  assert.deepEqual(validateAgainstTree(existing('Root', 'sibling'), tree), [
+    '"Root" is the root and has no siblings; use addAs "child"'
+  ]);
+  assert.deepEqual(validateAgainstTree(existing(null, null), tree), [
+    'existingMatch.nodeName is required when recommendation is "existing"',
+    'existingMatch.addAs must be "sibling" or "child" when recommendation is "existing"'
+  ]);
+  assert.deepEqual(validateAgainstTree(newCategory('Paper', 'Root > Furniture'), tree), [
+    'newCategory.parentPath "Root > Furniture" is not a path in the tree; use one of the listed paths exactly'
+  ]);
+  assert.deepEqual(validateAgainstTree(newCategory('lamps', 'Root > Making'), tree), [
+    '"Root > Making" already has a node named "lamps"; recommend it as "existing" or choose another name'
+  ]);
+  assert.deepEqual(validateAgainstTree(newCategory(' ', null), tree), [
+    'newCategory.name is required when recommendation is "new"',
+    'newCategory.parentPath is required when recommendation is "new"'
+  ]);
+});
+
+test('checkResponse drops alternatives that do not fit the tree', () => {
+  const { result, errors } = checkResponse(response(existing('Making', 'child'), {
+    alternatives: [existing('Tables', 'child'), newCategory('Paper', 'Root > Making')]
+  }), makeTree());
+  assert.deepEqual(errors, []);
+  assert.deepEqual(result.alternatives, [newCategory('Paper', 'Root > Making')]);
+});
+
+test('a rejected response is sent back with its problems', async t => {
+  quiet(t);
+  const { client, prompts } = fakeClient([
+    response(existing('Tables', 'child')),
+    response(existing('Making', 'child'))
+  ]);
+
+  const result = await analyzeContent(content, makeTree(), { client });
+  assert.equal(result.existingMatch.nodeName, 'Making');
+  assert.equal(prompts.length, 2);
+  assert.equal(prompts[1], buildRepairPrompt(prompts[0], response(existing('Tables', 'child')), [
+    'existingMatch.nodeName "Tables" is not a node in the tree; use one of the listed names exactly'
+  ]));
+});
+
+test('the offline categorizer takes over once the repairs run out', async t => {
+  quiet(t);
+  const { client, prompts } = fakeClient(['no idea', 'still none', 'sorry'], 2);
+
+  const result = await analyzeContent(content, makeTree(), { client });
+  assert.equal(prompts.length, 3);
+  assert.equal(checkResponse(JSON.stringify(result), makeTree()).errors.length, 0);
+});
+
+test('the offline categorizer takes over when the provider fails', async t => {
+  quiet(t);
+  const { client, prompts } = fakeClient([new Error('connection refused')]);
+
+  const result = await analyzeContent(content, makeTree(), { client });
+  assert.equal(prompts.length, 1);
+  assert.ok(['existing', 'new'].includes(result.recommendation));
+});
+
+test('rankPlacements numbers placements and previews the changed branch', () => {
+  const result = {
+    summary: 'Paper stools',
+    ...existing('Chairs', 'sibling', 0.9),
+    alternatives: [newCategory('Stools', 'Root > Making', 0.5), existing('Reading', 'child', 0.2)]
+  };
+  const candidates = rankPlacements(result, content, makeTree());
+
+  assert.deepEqual(candidates.map(({ rank, recommendation, confidence, status }) => ({ rank, recommendation, confidence, status })), [
+    { rank: 1, recommendation: 'existing', confidence: 0.9, status: 'planned' },
+    { rank: 2, recommendation: 'new', confidence: 0.5, status: 'planned' },
+    { rank: 3, recommendation: 'existing', confidence: 0.2, status: 'planned' }
+  ]);
+  assert.deepEqual(candidates[0].change, {
+    name: 'Paper stools',
+    slug: 'paper-stools',
+    parentPath: 'Root > Making',
+    addAs: 'sibling',
+    target: 'Chairs'
+  });
+  assert.deepEqual(candidates[0].branch, ['Lamps', 'Chairs', 'Paper stools']);
+  assert.deepEqual(candidates[1].branch, ['Lamps', 'Chairs', 'Stools']);
+  assert.deepEqual(candidates[2].branch, ['Paper stools']);
+});
+
+test('rankPlacements leaves out placements making the same change', () => {
+  const result = {
+    summary: 'Paper stools',
+    ...existing('Chairs', 'sibling', 0.9),
+    alternatives: [existing('Making', 'child', 0.7), existing('Reading', 'child', 0.2)]
+  };
+  const candidates = rankPlacements(result, content, makeTree());
+
+  assert.deepEqual(candidates.map(candidate => [candidate.rank, candidate.change.parentPath]), [
+    [1, 'Root > Making'],
+    [2, 'Root > Reading']
+  ]);
+});
+
+test('rankPlacements keeps placements that cannot be made, with the reason', () => {
+  const result = { summary: 'Paper stools', ...newCategory('Stools', 'Root > Furniture', null) };
+  const [failed] = rankPlacements(result, content, makeTree());
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.reason, 'Parent path not found: "Root > Furniture"');
+  assert.equal(failed.confidence, null);
+  assert.equal(failed.branch, null);
+
+  const [skipped] = rankPlacements(existing('Making', 'child'), { ...content, filePath: '/content/lamps.md' }, makeTree());
+  assert.equal(skipped.status, 'skipped');
+  assert.equal(skipped.reason, 'Already in the tree as "Lamps"');
+});
+
+test('globToRegExp matches *, ** and ? over path segments', () => {
+  assert.ok(globToRegExp('content/*.md').test('content/a.md'));
+  assert.ok(!globToRegExp('content/*.md').test('content/drafts/a.md'));
+  assert.ok(globToRegExp('content/**/*.md').test('content/a.md'));
+  assert.ok(globToRegExp('content/**/*.md').test('content/drafts/old/a.md'));
+  assert.ok(globToRegExp('notes-?.md').test('notes-1.md'));
+  assert.ok(!globToRegExp('notes.md').test('notesXmd'));
+});
+
+/**
+ * Run a test body against a directory holding a tree file, a recording
+ * for the mock provider and the given content files
+ */
+async function withBatchDir(files, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'categorize-'));
+  try {
+    const treeFile = path.join(dir, 'tree.json');
+    const recording = path.join(dir, 'recording.json');
+    await fs.writeFile(treeFile, JSON.stringify(makeTree(), null, 2));
+    await fs.writeFile(recording, JSON.stringify({
+      responses: [
+        { key: null, title: 'Paper stools', response: response(existing('Making', 'child')) },
+        { key: null, title: 'Oak benches', response: response(newCategory('Seating', 'Root > Making')) }
+      ]
+    }));
+    for (const [name, contents] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+      await fs.writeFile(path.join(dir, name), contents);
+    }
+    const client = await loadLlmConfig({ CATEGORIZE_PROVIDER: 'mock', CATEGORIZE_RECORDING: recording });
+    await fn({ dir, treeFile, client });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const drafts = {
+  'drafts/paper-stools.md': '---\ntitle: Paper stools\n---\n\nFolding stools from paper tubes.\n',
+  'drafts/old/oak-benches.md': '---\ntitle: Oak benches\n---\n\nBenches cut from oak.\n',
+  'drafts/old/notes.txt': 'Not Markdown'
+};
+
+test('expandInputs resolves files, directories and globs, and reports inputs without matches', async () => {
+  await withBatchDir(drafts, async ({ dir }) => {
+    const stools = path.join(dir, 'drafts/paper-stools.md');
+    const benches = path.join(dir, 'drafts/old/oak-benches.md');
+
+    assert.deepEqual(await expandInputs([path.join(dir, 'drafts')]), { found: [stools], missing: [] });
+    assert.deepEqual(await expandInputs([`${dir}/drafts/**/*.md`, stools]), { found: [benches, stools].sort(), missing: [] });
+    assert.deepEqual(await expandInputs([`${dir}/drafts/*/*.md`]), { found: [benches], missing: [] });
+    assert.deepEqual(await expandInputs([`${dir}/drafts/**/*.txt`, `${dir}/nowhere/*.md`, path.join(dir, 'missing.md')]), {
+      found: [],
+      missing: [
+        path.join(dir, 'drafts/**/*.txt'),
+        path.join(dir, 'nowhere/*.md'),
+        path.join(dir, 'missing.md')
+      ]
+    });
+  });
+});
+
+test('a dry run plans every file without writing the tree', async t => {
+  quiet(t);
+  await withBatchDir(drafts, async ({ dir, treeFile, client }) => {
+    const before = await fs.readFile(treeFile, 'utf-8');
+    const report = await categorizeBatch([`${dir}/drafts/**/*.md`], { dryRun: true, client, treeFile });
+
+    assert.equal(await fs.readFile(treeFile, 'utf-8'), before);
+    assert.equal(report.dryRun, true);
+    assert.deepEqual(report.counts, { planned: 2, applied: 0, skipped: 0, failed: 0 });
+    assert.equal(getExitCode(report), EXIT_CODES.ok);
+  });
+});
+
+test('--yes applies every planned placement', async t => {
+  quiet(t);
+  await withBatchDir(drafts, async ({ dir, treeFile, client }) => {
+    const report = await categorizeBatch([path.join(dir, 'drafts'), path.join(dir, 'drafts/old')], { yes: true, client, treeFile });
+
+    assert.deepEqual(report.files.map(item => [path.basename(item.file), item.status]), [
+      ['oak-benches.md', 'applied'],
+      ['paper-stools.md', 'applied']
+    ]);
+    const making = JSON.parse(await fs.readFile(treeFile, 'utf-8')).children[0];
+    assert.deepEqual(making.children.map(child => [child.name, child.slug]), [
+      ['Lamps', 'lamps'],
+      ['Chairs', 'chairs'],
+      ['Seating', 'oak-benches'],
+      ['Paper stools', 'paper-stools']
+    ]);
+    assert.equal(getExitCode(report), EXIT_CODES.ok);
+  });
+});
+
+test('the exit code reports failed files over skipped ones', async t => {
+  quiet(t);
+  await withBatchDir({
+    ...drafts,
+    'drafts/lamps.md': '---\ntitle: Lamps\n---\n',
+    'drafts/broken.md': '---\ndescription: No title\n---\n'
+  }, async ({ dir, treeFile, client }) => {
+    const skipped = await categorizeBatch([path.join(dir, 'drafts/lamps.md')], { yes: true, client, treeFile });
+    assert.deepEqual(skipped.counts, { planned: 0, applied: 0, skipped: 1, failed: 0 });
+    assert.equal(getExitCode(skipped), EXIT_CODES.skipped);
+
+    const report = await categorizeBatch([path.join(dir, 'drafts'), path.join(dir, 'missing.md')], { yes: true, client, treeFile });
+    assert.deepEqual(report.files.map(item => [path.basename(item.file), item.status, item.reason]), [
+      ['missing.md', 'failed', 'No such file, directory or match'],
+      ['broken.md', 'failed', 'Invalid frontmatter'],
+      ['lamps.md', 'skipped', 'Already in the tree as "Lamps"'],
+      ['paper-stools.md', 'applied', null]
+    ]);
+    assert.equal(getExitCode(report), EXIT_CODES.failed);
+  });
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Site Consistency Check
+ * Validates categories/tree-structure.json and the content directory
+ *
+ * Usage:
+ *   npm run check                 - Human-readable report
+ *   npm run check -- --json       - Machine-readable JSON report
+ *   npm run check -- --strict     - Fail on warnings too
+ *
+ * Exits with 1 when there are errors (or warnings with --strict).
+ */
+
+const { validateSite, formatReport } = require('../server/validate');
+
+/**
+ * Check the site and print the report
+ * @param {Array<string>} args - Command-line options
+ * @param {Object} paths - Passed on to validateSite
+ * @returns {Promise<number>} Exit code
+ */
+async function check(args, paths) {
+  const report = await validateSite(paths);
+  const failed = report.errors > 0 || (args.includes('--strict') && report.warnings > 0);
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else if (report.issues.length === 0) {
+    console.log('✓ Tree and content are consistent.');
+  } else {
+    console.log(formatReport(report));
+  }
+
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  check(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch((err) => {
+      console.error(err);
+      process.exitCode = 2;
+    });
+}
+
+module.exports = {
+  check
+};
@@ -0,0 +1,216 @@
+/**
+ * Offline Categorizer
+ * Suggests where a content file belongs without an LLM, for when Ollama is
+ * unreachable or categorize.js runs with --offline. Deterministic: the same
+ * content and tree always give the same suggestion.
+ *
+ * Every tree node gets a profile of its name and the titles, descriptions
+ * and bodies of the content at and below it. Profiles and the new file are
+ * TF-IDF vectors (IDF over the profiles); the node with the highest cosine
+ * similarity is the match. Below MATCH_THRESHOLD the file gets a new
+ * category instead, named after its most distinctive term and placed under
+ * the best-matching branch. The next most similar nodes, one per parent,
+ * and the new category (when a node matched) are the alternatives.
+ *
+ * Returns the JSON shape buildPrompt asks the LLM for, so categorize.js
+ * handles both the same way.
+ */
+
+const { tokenize } = require('../public/js/search-engine');
+
+// Below this similarity the file is not considered to fit any node
+const MATCH_THRESHOLD = 0.12;
+
+// How much more a term counts in each field than in the body
+const WEIGHTS = {
+  name: 3,
+  title: 3,
+  description: 2,
+  body: 1
+};
+
+const MIN_NAME_LENGTH = 3;
+
+// Placements returned, the main one included
+const MAX_PLACEMENTS = 3;
+
+function round(score) {
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Add a text's term counts to a map, weighted
+ */
+function addTerms(counts, text, weight) {
+  for (const term of tokenize(text)) {
+    counts.set(term, (counts.get(term) || 0) + weight);
+  }
+  return counts;
+}
+
+/**
+ * Term counts of a content document
+ */
+function documentTerms(counts, { frontmatter, body }) {
+  addTerms(counts, frontmatter.title, WEIGHTS.title);
+  addTerms(counts, frontmatter.description, WEIGHTS.description);
+  addTerms(counts, body, WEIGHTS.body);
+  return counts;
+}
+
+/**
+ * Build a TF-IDF vector (sublinear term frequency), normalized to length 1
+ */
+function toVector(counts, idf) {
+  const vector = new Map();
+  let length = 0;
+  for (const [term, count] of counts) {
+    const weight = (1 + Math.log(count)) * (idf.get(term) || 0);
+    if (weight === 0) continue;
+    vector.set(term, weight);
+    length += weight * weight;
+  }
+  length = Math.sqrt(length);
+  for (const [term, weight] of vector) vector.set(term, weight / length);
+  return vector;
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let sum = 0;
+  for (const [term, weight] of small) {
+    if (large.has(term)) sum += weight * large.get(term);
+  }
+  return sum;
+}
+
+/**
+ * Whether `path` is `ancestor` or lies below it
+ */
+function isWithin(path, ancestor) {
+  return ancestor.every((name, i) => path[i] === name);
+}
+
+/**
+ * Turn a term, title or slug into a category name in the tree's style
+ * ("Signals", "On my desk")
+ */
+function toCategoryName(text) {
+  const name = text.replace(/[-_]+/g, ' ').replace(/\s+/g, ' ').trim();
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Suggest placements for a content file, best first
+ * @param {Object} content - { frontmatter, body, filePath } from categorize.js
+ * @param {Array} nodes - Nodes from extractAllNodes, root first
+ * @param {Array} documents - Every content document ({ slug, frontmatter, body })
+ * @param {string} slug - The file's own slug, left out of the profiles
+ * @returns {Object} { summary, recommendation, existingMatch, newCategory,
+ *   confidence, alternatives }
+ */
+function suggestCategory(content, nodes, documents, slug) {
+  const bySlug = new Map(documents.filter(doc => doc.slug !== slug).map(doc => [doc.slug, doc]));
+  const [root, ...candidates] = nodes;
+
+  // Profile: the node's name plus the content at and below it
+  const profiles = candidates.map(node => {
+    const counts = addTerms(new Map(), node.name, WEIGHTS.name);
+    for (const other of nodes) {
+      if (other.slug && bySlug.has(other.slug) && isWithin(other.fullPath, node.fullPath)) {
+        documentTerms(counts, bySlug.get(other.slug));
+      }
+    }
+    return counts;
+  });
+
+  const documentFrequency = new Map();
+  for (const counts of profiles) {
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+  const fileCounts = documentTerms(new Map(), content);
+  const idf = new Map();
+  for (const term of new Set([...documentFrequency.keys(), ...fileCounts.keys()])) {
+    idf.set(term, Math.log((profiles.length + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1);
+  }
+
+  const fileVector = toVector(fileCounts, idf);
+  const scores = candidates
+    .map((node, i) => ({ node, score: cosine(fileVector, toVector(profiles[i], idf)) }))
+    .sort((a, b) => b.score - a.score || a.node.path.localeCompare(b.node.path));
+
+  const best = scores[0];
+  const summary = content.frontmatter.description ||
+    (content.body.split(/(?<=[.!?])\s/)[0] || '').trim() ||
+    content.frontmatter.title || 'Untitled';
+
+  const sharedTerms = node => [...fileVector.keys()]
+    .filter(term => profiles[candidates.indexOf(node)].has(term))
+    .sort((a, b) => fileVector.get(b) - fileVector.get(a))
+    .slice(0, 3);
+
+  // Into a branch, or next to a similar leaf; one placement per parent, as
+  // a child match and a sibling match can put the file in the same place
+  const parents = new Set();
+  const existing = scores
+    .filter(({ node, score }) => {
+      const parentPath = node.hasChildren ? node.path : node.fullPath.slice(0, -1).join(' > ');
+      if (score <= 0 || parents.has(parentPath)) return false;
+      parents.add(parentPath);
+      return true;
+    })
+    .map(({ node, score }) => ({
+      recommendation: 'existing',
+      existingMatch: {
+        nodeName: node.name,
+        addAs: node.hasChildren ? 'child' : 'sibling',
+        reasoning: `Similar content (score ${round(score)}); shared terms: ${sharedTerms(node).join(', ')}`
+      },
+      newCategory: { name: null, parentPath: null, reasoning: null },
+      confidence: round(score)
+    }));
+
+  // New category: the file's most distinctive term no node is named after;
+  // not the title either, which is what a match adds under the same parent
+  const taken = new Set(nodes.map(node => node.name.toLowerCase()));
+  if (content.frontmatter.title) taken.add(content.frontmatter.title.toLowerCase());
+  const [term] = [...fileVector.entries()]
+    .filter(([candidate]) => candidate.length >= MIN_NAME_LENGTH && !/^\d+$/.test(candidate) && !taken.has(candidate))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([candidate]) => candidate);
+  const parent = scores.find(({ node }) => node.hasChildren);
+  const parentNode = parent && parent.score > 0 ? parent.node : root;
+  const bestScore = best ? best.score : 0;
+  const why = term
+    ? `"${term}" is the file's most distinctive term`
+    : 'it has no distinctive term of its own, so it is named after the file';
+  const newCategory = {
+    recommendation: 'new',
+    existingMatch: { nodeName: null, addAs: null, reasoning: null },
+    newCategory: {
+      name: toCategoryName(term || content.frontmatter.title || slug),
+      parentPath: parentNode.path,
+      reasoning: !best
+        ? 'The tree has no nodes to compare with'
+        : bestScore >= MATCH_THRESHOLD
+          ? `A category of its own instead of "${best.node.name}"; ${why}`
+          : `No node is similar enough (best: "${best.node.name}", score ${round(bestScore)}); ${why}`
+    },
+    // How clearly nothing matches
+    confidence: round(Math.max(0, 1 - bestScore / MATCH_THRESHOLD))
+  };
+
+  // The new category is always offered: last after a match, else first
+  const matches = existing.slice(0, MAX_PLACEMENTS - 1);
+  const [main, ...alternatives] = bestScore >= MATCH_THRESHOLD
+    ? [...matches, newCategory]
+    : [newCategory, ...matches];
+  return { summary, ...main, alternatives };
+}
+
+module.exports = {
+  MATCH_THRESHOLD,
+  suggestCategory
+};
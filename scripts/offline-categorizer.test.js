@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { suggestCategory, MATCH_THRESHOLD } = require('./offline-categorizer');
+const { extractAllNodes } = require('./categorize');
+
+const tree = {
+  name: 'Root',
+  slug: 'about',
+  children: [
+    {
+      name: 'Making',
+      slug: null,
+      children: [
+        { name: 'Lamps', slug: 'lamps', children: null },
+        { name: 'Chairs', slug: 'chairs', children: null }
+      ]
+    },
+    {
+      name: 'Reading',
+      slug: 'reading',
+      children: [{ name: 'Novels', slug: 'novels', children: null }]
+    }
+  ]
+};
+
+const documents = [
+  { slug: 'about', frontmatter: { title: 'About' }, body: 'Hello.' },
+  { slug: 'lamps', frontmatter: { title: 'Paper lamps', description: 'Folded paper light shades' }, body: 'Lamps from washi paper and bamboo frames, glowing light.' },
+  { slug: 'chairs', frontmatter: { title: 'Oak chairs', description: 'Joinery for chairs' }, body: 'Chairs cut from oak with mortise and tenon joinery.' },
+  { slug: 'reading', frontmatter: { title: 'Reading list', description: 'Books I read' }, body: 'Books and essays.' },
+  { slug: 'novels', frontmatter: { title: 'Novels', description: 'Fiction' }, body: 'Long fiction books, novels by many authors.' }
+];
+
+const nodes = extractAllNodes(tree);
+
+function suggest(slug, frontmatter, body = '') {
+  return suggestCategory({ frontmatter, body, filePath: `/content/${slug}.md` }, nodes, documents, slug);
+}
+
+const lanterns = () => suggest('paper-lanterns', {
+  title: 'Paper lanterns',
+  description: 'Folded paper light'
+}, 'Washi paper lanterns glowing with soft light.');
+
+test('is deterministic', () => {
+  assert.deepEqual(lanterns(), lanterns());
+});
+
+test('matches the most similar node above the threshold', () => {
+  const result = lanterns();
+  assert.equal(result.recommendation, 'existing');
+  assert.deepEqual(result.existingMatch, {
+    nodeName: 'Lamps',
+    addAs: 'sibling',
+    reasoning: 'Similar content (score 0.52); shared terms: paper, light, folded'
+  });
+  assert.ok(result.confidence >= MATCH_THRESHOLD);
+  assert.equal(result.summary, 'Folded paper light');
+});
+
+test('offers one placement per parent and always a new category', () => {
+  const result = lanterns();
+  // Next to "Lamps" and under "Making" put the file in the same place
+  assert.equal(result.alternatives.some(alternative => alternative.existingMatch.nodeName === 'Making'), false);
+  assert.deepEqual(result.alternatives.map(alternative => alternative.recommendation), ['new']);
+  assert.deepEqual(result.alternatives[0].newCategory, {
+    name: 'Lanterns',
+    parentPath: 'Root > Making',
+    reasoning: 'A category of its own instead of "Lamps"; "lanterns" is the file\'s most distinctive term'
+  });
+});
+
+test('suggests a new category below the threshold, under the closest branch', () => {
+  const result = suggest('sourdough', {
+    title: 'Sourdough',
+    description: 'Bread baking'
+  }, 'Starter, flour, water and salt; a long ferment.');
+
+  assert.equal(result.recommendation, 'new');
+  assert.equal(result.newCategory.name, 'Baking');
+  assert.equal(result.newCategory.parentPath, 'Root > Reading');
+  assert.match(result.newCategory.reasoning, /^No node is similar enough \(best: "Novels", score 0\.04\)/);
+  assert.ok(result.confidence > 0.5);
+  assert.deepEqual(result.alternatives.map(alternative => alternative.existingMatch.nodeName), ['Novels']);
+});
+
+test('names a file without distinctive terms after its title or slug', () => {
+  const result = suggest('on_my-desk', {});
+  assert.equal(result.summary, 'Untitled');
+  assert.deepEqual(result.newCategory, {
+    name: 'On my desk',
+    parentPath: 'Root',
+    reasoning: 'No node is similar enough (best: "Making", score 0); it has no distinctive term of its own, so it is named after the file'
+  });
+  assert.deepEqual(result.alternatives, []);
+});
+
+test('never names the new category after an existing node or the title', () => {
+  const result = suggest('seating', { title: 'Stools' }, 'Lamps and chairs, stools and lamps, with seating.');
+  const [placement] = [result, ...result.alternatives].filter(({ recommendation }) => recommendation === 'new');
+  assert.equal(placement.newCategory.name, 'Seating');
+});
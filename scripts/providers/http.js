@@ -0,0 +1,36 @@
+/**
+ * HTTP helper for the LLM providers
+ */
+
+/**
+ * Send a request and parse the JSON answer
+ * @param {string} url
+ * @param {Object} options - { method, body (sent as JSON), headers, timeout (ms) }
+ * @returns {Promise<Object>} Rejects on network errors, timeouts and non-2xx
+ *   statuses; the error's `status` is the HTTP status, if there was one
+ */
+async function requestJson(url, { method = 'GET', body, headers = {}, timeout } = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: timeout ? AbortSignal.timeout(timeout) : undefined
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') throw new Error(`No answer from ${url} within ${timeout} ms`);
+    throw new Error(`Could not reach ${url} (${error.cause?.code || error.message})`);
+  }
+
+  if (!response.ok) {
+    const error = new Error(`${url} answered ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+module.exports = {
+  requestJson
+};
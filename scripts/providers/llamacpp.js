@@ -0,0 +1,47 @@
+/**
+ * llama.cpp Provider
+ * The model loaded by a llama.cpp server (llama-server -m model.gguf),
+ * through its native /completion endpoint. The server runs one model, so
+ * `model` is only shown, not sent. With `json`, the response schema becomes
+ * a grammar the output has to follow.
+ */
+
+const { requestJson } = require('./http');
+
+module.exports = {
+  name: 'llamacpp',
+  description: 'llama.cpp server',
+  defaults: {
+    url: 'http://localhost:8080',
+    model: 'loaded model',
+    temperature: 0.7,
+    timeout: 120000,
+    json: true
+  },
+
+  async check(settings) {
+    try {
+      await requestJson(`${settings.url}/health`, { timeout: settings.timeout });
+      return { ok: true };
+    } catch (error) {
+      // 503 while the model is still loading
+      return error.status === 503
+        ? { ok: false, message: 'The llama.cpp server is still loading its model.', hint: 'Try again in a moment' }
+        : { ok: false, message: 'The llama.cpp server is not running.', hint: 'Start it with: llama-server -m <model.gguf>' };
+    }
+  },
+
+  async generate(promptText, settings, { schema } = {}) {
+    const data = await requestJson(`${settings.url}/completion`, {
+      method: 'POST',
+      timeout: settings.timeout,
+      body: {
+        prompt: promptText,
+        temperature: settings.temperature,
+        n_predict: 500,
+        json_schema: settings.json ? schema : undefined
+      }
+    });
+    return data.content.trim();
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * Mock Provider
+ * Replays recorded responses instead of calling a model, so the whole
+ * categorization flow runs offline and repeatably (demos, trying changes to
+ * categorize.js). Any provider's responses are recorded with
+ * CATEGORIZE_RECORD=<file>.
+ *
+ * A recording is JSON: { "responses": [{ "key", "title", "response" }] }.
+ * A prompt gets the response recorded for the same prompt (key: a hash of
+ * it), else the one recorded for the same content title, which survives
+ * changes to the tree.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+function promptKey(promptText) {
+  return crypto.createHash('sha256').update(promptText).digest('hex').slice(0, 16);
+}
+
+/**
+ * The content title a categorization prompt is about
+ */
+function promptTitle(promptText) {
+  const match = promptText.match(/^Title: (.*)$/m);
+  return match ? match[1] : null;
+}
+
+async function readRecording(file) {
+  const recording = JSON.parse(await fs.readFile(file, 'utf-8'));
+  if (!Array.isArray(recording.responses)) {
+    throw new Error(`${file}: expected { "responses": [...] }`);
+  }
+  return recording;
+}
+
+/**
+ * Add a response to a recording, replacing one for the same prompt
+ */
+async function record(file, promptText, response) {
+  let recording = { responses: [] };
+  try {
+    recording = await readRecording(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const key = promptKey(promptText);
+  recording.responses = recording.responses.filter(entry => entry.key !== key);
+  recording.responses.push({ key, title: promptTitle(promptText), response });
+  await fs.writeFile(file, JSON.stringify(recording, null, 2) + '\n');
+}
+
+module.exports = {
+  name: 'mock',
+  description: 'recorded responses',
+  defaults: {
+    recording: 'categorize.recordings.json',
+    model: 'replay',
+    temperature: 0,
+    timeout: 0,
+    json: false
+  },
+
+  async check(settings) {
+    try {
+      const { responses } = await readRecording(path.resolve(settings.recording));
+      return { ok: true, message: `${responses.length} recorded response(s)` };
+    } catch (error) {
+      return {
+        ok: false,
+        message: `Could not read the recording ${settings.recording}: ${error.message}`,
+        hint: 'Record one by running with another provider and CATEGORIZE_RECORD=<file>'
+      };
+    }
+  },
+
+  async generate(promptText, settings) {
+    const { responses } = await readRecording(path.resolve(settings.recording));
+    const key = promptKey(promptText);
+    const title = promptTitle(promptText);
+    const entry = responses.find(e => e.key === key) || responses.find(e => title !== null && e.title === title);
+    if (!entry) throw new Error(`No recorded response for "${title}"`);
+    return entry.response;
+  },
+
+  record
+};
@@ -0,0 +1,50 @@
+/**
+ * Ollama Provider
+ * A model served by Ollama (ollama serve), through /api/generate. With
+ * `json`, Ollama's format: 'json' keeps the output to valid JSON.
+ */
+
+const { requestJson } = require('./http');
+
+module.exports = {
+  name: 'ollama',
+  description: 'Ollama',
+  defaults: {
+    url: 'http://localhost:11434',
+    model: 'phi3',  // Small model that runs well on CPU
+    temperature: 0.7,  // Higher temperature for more creative names
+    timeout: 120000,
+    json: true
+  },
+
+  async check(settings) {
+    let data;
+    try {
+      data = await requestJson(`${settings.url}/api/tags`, { timeout: settings.timeout });
+    } catch {
+      return { ok: false, message: 'Ollama is not running.', hint: 'Start it with: ollama serve' };
+    }
+    if (!data.models?.some(m => m.name.startsWith(settings.model))) {
+      return { ok: false, message: `Model '${settings.model}' not found.`, hint: `Pull it with: ollama pull ${settings.model}` };
+    }
+    return { ok: true };
+  },
+
+  async generate(promptText, settings) {
+    const data = await requestJson(`${settings.url}/api/generate`, {
+      method: 'POST',
+      timeout: settings.timeout,
+      body: {
+        model: settings.model,
+        prompt: promptText,
+        stream: false,
+        format: settings.json ? 'json' : undefined,
+        options: {
+          temperature: settings.temperature,
+          num_predict: 500
+        }
+      }
+    });
+    return data.response.trim();
+  }
+};
@@ -0,0 +1,57 @@
+/**
+ * OpenAI-compatible Provider
+ * Any server with an OpenAI-style /v1/chat/completions endpoint: OpenAI,
+ * LM Studio, vLLM, LocalAI, llama.cpp's own, ... `url` is the base without
+ * /v1. The API key comes from `apiKey` (CATEGORIZE_API_KEY) or
+ * OPENAI_API_KEY; local servers usually need none. With `json`, asks for
+ * response_format json_object; turn it off for servers that reject it.
+ */
+
+const { requestJson } = require('./http');
+
+function getHeaders(settings) {
+  const apiKey = settings.apiKey || process.env.OPENAI_API_KEY;
+  return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+}
+
+module.exports = {
+  name: 'openai',
+  description: 'OpenAI-compatible API',
+  defaults: {
+    url: 'https://api.openai.com',
+    model: 'gpt-4o-mini',
+    temperature: 0.7,
+    timeout: 60000,
+    json: true
+  },
+
+  async check(settings) {
+    try {
+      await requestJson(`${settings.url}/v1/models`, { headers: getHeaders(settings), timeout: settings.timeout });
+      return { ok: true };
+    } catch (error) {
+      if (error.status === 401 || error.status === 403) {
+        return { ok: false, message: `${settings.url} rejected the API key.`, hint: 'Set CATEGORIZE_API_KEY or OPENAI_API_KEY' };
+      }
+      // Not every compatible server lists its models
+      if (error.status === 404) return { ok: true };
+      return { ok: false, message: error.message, hint: 'Check CATEGORIZE_URL or the provider\'s url' };
+    }
+  },
+
+  async generate(promptText, settings) {
+    const data = await requestJson(`${settings.url}/v1/chat/completions`, {
+      method: 'POST',
+      headers: getHeaders(settings),
+      timeout: settings.timeout,
+      body: {
+        model: settings.model,
+        messages: [{ role: 'user', content: promptText }],
+        temperature: settings.temperature,
+        max_tokens: 500,
+        response_format: settings.json ? { type: 'json_object' } : undefined
+      }
+    });
+    return data.choices[0].message.content.trim();
+  }
+};
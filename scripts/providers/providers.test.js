@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ollama = require('./ollama');
+const llamacpp = require('./llamacpp');
+const openai = require('./openai');
+const { requestJson } = require('./http');
+
+const schema = { type: 'object' };
+
+const STATUS_TEXT = {
+  200: 'OK',
+  401: 'Unauthorized',
+  404: 'Not Found',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable'
+};
+
+/**
+ * Answer fetch calls with the given responses in turn (an Error rejects);
+ * `requests` collects each URL, method, headers and parsed JSON body
+ */
+function stubFetch(t, answers) {
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    requests.push({
+      url,
+      method: options.method,
+      headers: options.headers,
+      body: options.body === undefined ? undefined : JSON.parse(options.body)
+    });
+    const answer = answers[requests.length - 1];
+    if (answer instanceof Error) throw answer;
+    const status = answer.status ?? 200;
+    return new Response(JSON.stringify(answer.body ?? {}), { status, statusText: STATUS_TEXT[status] });
+  });
+  return requests;
+}
+
+function settings(provider, overrides = {}) {
+  return { ...provider.defaults, ...overrides };
+}
+
+test('requestJson reports the status of failed requests', async t => {
+  stubFetch(t, [{ status: 503 }, new TypeError('fetch failed')]);
+  await assert.rejects(requestJson('http://localhost:8080/health'), {
+    message: 'http://localhost:8080/health answered 503 Service Unavailable',
+    status: 503
+  });
+  await assert.rejects(requestJson('http://localhost:8080/health'), {
+    message: 'Could not reach http://localhost:8080/health (fetch failed)'
+  });
+});
+
+test('ollama sends the prompt to /api/generate and returns the response text', async t => {
+  const requests = stubFetch(t, [{ body: { response: ' {"summary": "x"}\n' } }, { body: { response: '{}' } }]);
+
+  assert.equal(await ollama.generate('Categorize this', settings(ollama), { schema }), '{"summary": "x"}');
+  assert.deepEqual(requests[0], {
+    url: 'http://localhost:11434/api/generate',
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      model: 'phi3',
+      prompt: 'Categorize this',
+      stream: false,
+      format: 'json',
+      options: { temperature: 0.7, num_predict: 500 }
+    }
+  });
+
+  await ollama.generate('Categorize this', settings(ollama, { json: false }));
+  assert.equal('format' in requests[1].body, false);
+});
+
+test('ollama checks that the server runs and has the model', async t => {
+  stubFetch(t, [
+    { body: { models: [{ name: 'phi3:latest' }] } },
+    { body: { models: [{ name: 'llama3:latest' }] } },
+    new TypeError('fetch failed')
+  ]);
+  assert.deepEqual(await ollama.check(settings(ollama)), { ok: true });
+  assert.deepEqual(await ollama.check(settings(ollama)), {
+    ok: false,
+    message: "Model 'phi3' not found.",
+    hint: 'Pull it with: ollama pull phi3'
+  });
+  assert.equal((await ollama.check(settings(ollama))).message, 'Ollama is not running.');
+});
+
+test('llamacpp sends the schema as a grammar to /completion', async t => {
+  const requests = stubFetch(t, [{ body: { content: ' {}\n' } }, { body: { content: '{}' } }]);
+
+  assert.equal(await llamacpp.generate('Categorize this', settings(llamacpp), { schema }), '{}');
+  assert.deepEqual(requests[0].body, {
+    prompt: 'Categorize this',
+    temperature: 0.7,
+    n_predict: 500,
+    json_schema: schema
+  });
+  assert.equal(requests[0].url, 'http://localhost:8080/completion');
+
+  await llamacpp.generate('Categorize this', settings(llamacpp, { json: false }), { schema });
+  assert.equal('json_schema' in requests[1].body, false);
+});
+
+test('llamacpp tells a loading model from a stopped server', async t => {
+  stubFetch(t, [{ body: { status: 'ok' } }, { status: 503 }, new TypeError('fetch failed')]);
+  assert.deepEqual(await llamacpp.check(settings(llamacpp)), { ok: true });
+  assert.equal((await llamacpp.check(settings(llamacpp))).message, 'The llama.cpp server is still loading its model.');
+  assert.equal((await llamacpp.check(settings(llamacpp))).message, 'The llama.cpp server is not running.');
+});
+
+test('openai sends a chat completion with the API key and returns the message', async t => {
+  const requests = stubFetch(t, [{ body: { choices: [{ message: { content: ' {}\n' } }] } }]);
+
+  const answer = await openai.generate('Categorize this', settings(openai, { url: 'http://localhost:1234', apiKey: 'secret' }));
+  assert.equal(answer, '{}');
+  assert.deepEqual(requests[0], {
+    url: 'http://localhost:1234/v1/chat/completions',
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer secret' },
+    body: {
+      model: 'gpt-4o-mini',
+      messages: [{ role: 'user', content: 'Categorize this' }],
+      temperature: 0.7,
+      max_tokens: 500,
+      response_format: { type: 'json_object' }
+    }
+  });
+});
+
+test('openai reports rejected keys and accepts servers without a model list', async t => {
+  stubFetch(t, [{ status: 401 }, { status: 404 }, { status: 500 }]);
+  const local = settings(openai, { url: 'http://localhost:1234', apiKey: 'secret' });
+
+  assert.equal((await openai.check(local)).message, 'http://localhost:1234 rejected the API key.');
+  assert.deepEqual(await openai.check(local), { ok: true });
+  assert.equal((await openai.check(local)).message, 'http://localhost:1234/v1/models answered 500 Internal Server Error');
+});
@@ -0,0 +1,75 @@
+/**
+ * Export Target
+ * The whole tree, every branch expanded, as images in export/: an SVG, a
+ * poster page that prints it on one sheet, and a PNG when a rasterizer is
+ * installed. Drawn by public/js/tree-export.js, as the site's export menu
+ * does, in the light theme's colors.
+ *
+ * Options: --scale=N sets the PNG's pixels per SVG unit (default 1)
+ */
+
+const TreeExport = require('../../public/js/tree-export');
+
+const FILE_NAME = 'knowledge-tree';
+
+/**
+ * Load the optional rasterizer (npm install @resvg/resvg-js), or null
+ */
+function loadRasterizer() {
+  try {
+    return require('@resvg/resvg-js');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Page holding the SVG, sized so it prints as one sheet
+ */
+function renderPoster(image, title) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${title.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</title>
+  <style>
+    @page { size: ${image.width}px ${image.height}px; margin: 0; }
+    html, body { margin: 0; padding: 0; }
+    svg { display: block; max-width: 100%; height: auto; }
+  </style>
+</head>
+<body>
+${image.svg}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  name: 'export',
+  description: 'tree images (SVG, PNG, printable poster)',
+  outDir: 'export',
+  content: false,  // Draws the tree only
+  nextSteps: [`Open export/poster.html to print; export/${FILE_NAME}.svg drops into slides and documents`],
+
+  async write(site, output, { scale = 1 } = {}) {
+    console.log('🖼  Drawing the tree...');
+    const image = TreeExport.render(site.tree);
+    await output.write(`${FILE_NAME}.svg`, image.svg);
+    await output.write('poster.html', renderPoster(image, site.tree.name));
+    console.log(`   ✓ ${FILE_NAME}.svg (${image.width}×${image.height})`);
+    console.log('   ✓ poster.html');
+
+    const rasterizer = loadRasterizer();
+    if (!rasterizer) {
+      console.log('   PNG skipped: npm install @resvg/resvg-js to rasterize headlessly');
+      return;
+    }
+    const png = new rasterizer.Resvg(image.svg, {
+      fitTo: { mode: 'zoom', value: scale },
+      font: { loadSystemFonts: true }
+    }).render().asPng();
+    await output.write(`${FILE_NAME}@${scale}x.png`, png);
+    console.log(`   ✓ ${FILE_NAME}@${scale}x.png`);
+  }
+};
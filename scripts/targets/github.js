@@ -0,0 +1,61 @@
+/**
+ * GitHub Pages Target
+ * Site in docs/ with the tree, one JSON file per slug, the content list and
+ * the search index under data/, fetched on demand. The tree is cut at
+ * DEFAULT_DEPTH levels, with one children file per deeper branch, the same
+ * branches /api/tree/children serves. Also writes a 404.html app shell, which
+ * GitHub Pages serves for unknown paths, so any deep link (/n/...) resolves.
+ */
+
+const render = require('../../server/render');
+const treeBranches = require('../../server/tree');
+
+const DATA_DIR = 'data';
+
+module.exports = {
+  name: 'github',
+  description: 'static site for GitHub Pages',
+  outDir: 'docs',
+  nextSteps: [
+    '📤 Next steps:',
+    '   1. Commit and push to GitHub',
+    '   2. Go to repo Settings → Pages',
+    '   3. Set source to "Deploy from branch"',
+    '   4. Select branch "main" and folder "/docs"',
+    '   5. Save and wait for deployment'
+  ],
+
+  async write(site, output) {
+    console.log('📋 Copying public files...');
+    await output.copyDir(site.publicDir);
+
+    console.log('📝 Writing data files...');
+    const depth = treeBranches.DEFAULT_DEPTH;
+    await output.write(`${DATA_DIR}/tree.json`, JSON.stringify(treeBranches.pruneTree(site.tree, depth), null, 2));
+    for (const branch of treeBranches.listBranches(site.tree, depth)) {
+      await output.write(`${DATA_DIR}/${treeBranches.branchFile(branch.segments)}`, JSON.stringify(branch.children, null, 2));
+    }
+    for (const [slug, data] of Object.entries(site.content)) {
+      await output.write(`${DATA_DIR}/content/${slug}.json`, JSON.stringify(data, null, 2));
+      console.log(`   ✓ ${slug}.json`);
+    }
+    await output.write(`${DATA_DIR}/content.json`, JSON.stringify(site.list, null, 2));
+    await output.write(`${DATA_DIR}/search-index.json`, JSON.stringify(site.searchIndex));
+
+    const dataSource = { type: 'static', base: `/${DATA_DIR}`, ...render.getFrontendSettings() };
+
+    console.log('📄 Rendering node pages...');
+    for (const page of site.pages) {
+      const html = render.renderPage(site.template, { tree: site.tree, page, data: site.content[page.slug] });
+      await output.write(`${page.url}/index.html`, render.injectDataSource(html, dataSource));
+      console.log(`   ✓ ${page.url}`);
+    }
+
+    console.log('🗺  Generating sitemap.xml...');
+    await output.write('sitemap.xml', render.renderSitemap(site.tree, { lastModified: site.lastModified }));
+
+    console.log('🔗 Adding 404.html fallback for deep links...');
+    const shell = render.renderPage(site.template, { tree: site.tree, page: null, data: null });
+    await output.write('404.html', render.injectDataSource(shell, dataSource));
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Static Target
+ * Self-contained site in dist/: the tree, content and search index are
+ * written once to data.js, which every page loads, so it works from any
+ * static file server without fetching JSON
+ */
+
+const render = require('../../server/render');
+
+const DATA_FILE = 'data.js';
+
+module.exports = {
+  name: 'static',
+  description: 'static site with bundled data',
+  outDir: 'dist',
+  nextSteps: ['To preview: npx serve -s dist'],
+
+  async write(site, output) {
+    console.log('📋 Copying public files...');
+    await output.copyDir(site.publicDir);
+
+    console.log(`📝 Writing ${DATA_FILE}...`);
+    const data = { tree: site.tree, content: site.content, searchIndex: site.searchIndex };
+    await output.write(DATA_FILE, `window.__SITE_DATA__ = ${JSON.stringify(data)};\n`);
+
+    const dataSource = { type: 'inline', ...render.getFrontendSettings() };
+
+    console.log('📄 Rendering node pages...');
+    for (const page of site.pages) {
+      const html = render.renderPage(site.template, { tree: site.tree, page, data: site.content[page.slug] });
+      await output.write(`${page.url}/index.html`, render.injectDataSource(html, dataSource, [`/${DATA_FILE}`]));
+    }
+
+    console.log('🗺  Generating sitemap.xml...');
+    await output.write('sitemap.xml', render.renderSitemap(site.tree, { lastModified: site.lastModified }));
+  }
+};
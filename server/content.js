@@ -0,0 +1,103 @@
+/**
+ * Content Rendering
+ * Turns a validated content file into the record the frontend displays:
+ * frontmatter fields, sanitized `content` HTML, the `raw` markdown, the
+ * `headings` for a table of contents and the `wordCount` and `readingTime`
+ * (minutes). The server API and every build target serve this same shape.
+ *
+ * HEADING IDS:
+ * Headings get ids from their text, slugified like URL segments
+ * ("Next steps" → next-steps); repeats get -2, -3. Ids only change when the
+ * heading text does, so /n/...#next-steps links keep working.
+ */
+
+const { marked } = require('marked');
+const { sanitizeContent, getPolicy } = require('./sanitize');
+const Router = require('../public/js/router');
+
+// Bump when rendering changes in a way options do not capture, so
+// incremental builds re-render everything
+const RENDER_VERSION = 2;
+
+const WORDS_PER_MINUTE = 200;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+const MARKED_OPTIONS = {
+  gfm: true,
+  breaks: true
+};
+
+marked.setOptions(MARKED_OPTIONS);
+
+/**
+ * Reduce rendered HTML to its text
+ */
+function toText(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(#?\w+);/g, (match, name) => ENTITIES[name] || ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Create a marked renderer giving headings unique ids, collecting them
+ * @param {Array} headings - Receives { id, level, text } per heading
+ */
+function createRenderer(headings) {
+  const renderer = new marked.Renderer();
+  const used = new Set();
+
+  renderer.heading = (html, level) => {
+    const text = toText(html);
+    const base = Router.slugify(text) || 'section';
+    let id = base;
+    for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+    used.add(id);
+
+    headings.push({ id, level, text });
+    return `<h${level} id="${id}">${html}</h${level}>\n`;
+  };
+
+  return renderer;
+}
+
+/**
+ * Render a document from frontmatter.js
+ * @param {{frontmatter, body}} document
+ * @returns {Object} {...frontmatter, content, raw, headings, wordCount, readingTime}
+ */
+function renderDocument({ frontmatter, body }) {
+  const headings = [];
+  const record = sanitizeContent({
+    ...frontmatter,
+    content: marked.parse(body, { renderer: createRenderer(headings) }),
+    raw: body
+  });
+
+  const wordCount = toText(record.content).split(' ').filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+  return {
+    ...record,
+    headings,
+    wordCount,
+    readingTime: Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE))
+  };
+}
+
+/**
+ * Everything besides the document that affects renderDocument's output
+ */
+function getRenderOptions() {
+  return {
+    version: RENDER_VERSION,
+    wordsPerMinute: WORDS_PER_MINUTE,
+    marked: MARKED_OPTIONS,
+    sanitize: getPolicy()
+  };
+}
+
+module.exports = {
+  renderDocument,
+  getRenderOptions
+};
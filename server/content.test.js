@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderDocument } = require('./content');
+
+function render(body, frontmatter = { title: 'Test' }) {
+  return renderDocument({ frontmatter, body });
+}
+
+test('gives headings ids from their text', () => {
+  const doc = render('# Hello World\n\n## Next steps\n\n### Café & Co.');
+  assert.deepEqual(doc.headings, [
+    { id: 'hello-world', level: 1, text: 'Hello World' },
+    { id: 'next-steps', level: 2, text: 'Next steps' },
+    { id: 'cafe-co', level: 3, text: 'Café & Co.' }
+  ]);
+  assert.match(doc.content, /<h2 id="next-steps">Next steps<\/h2>/);
+});
+
+test('numbers repeated headings', () => {
+  const doc = render('## Notes\n\n## Notes\n\n## Notes');
+  assert.deepEqual(doc.headings.map(h => h.id), ['notes', 'notes-2', 'notes-3']);
+});
+
+test('uses the text of formatted headings and falls back for empty slugs', () => {
+  const doc = render('## *Big* `idea`\n\n## ???');
+  assert.deepEqual(doc.headings.map(h => [h.id, h.text]), [['big-idea', 'Big idea'], ['section', '???']]);
+});
+
+test('counts words and reading time', () => {
+  const doc = render(`${'word '.repeat(450)}\n\n- one\n- two`);
+  assert.equal(doc.wordCount, 452);
+  assert.equal(doc.readingTime, 2);
+  assert.equal(render('Short').readingTime, 1);
+});
+
+test('keeps the frontmatter and raw markdown, sanitized', () => {
+  const doc = render('Hi <script>x()</script>', { title: 'T', image: 'javascript:x' });
+  assert.equal(doc.title, 'T');
+  assert.equal(doc.raw, 'Hi <script>x()</script>');
+  assert.equal('image' in doc, false);
+  assert.doesNotMatch(doc.content, /script/);
+});
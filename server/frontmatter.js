@@ -0,0 +1,272 @@
+/**
+ * Frontmatter Schema
+ * Declares the fields content files may use and validates them, reporting
+ * problems per file with line numbers. Shared by the server, the builds,
+ * the site check and categorize.js.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const matter = require('gray-matter');
+
+/**
+ * Allowed frontmatter keys
+ * type: 'string' | 'date' | 'url' | 'list'
+ * - date: YYYY-MM-DD
+ * - url: absolute http(s) URL or a site path starting with /
+ * - list: a list of strings (empty means none); itemType checks each entry
+ */
+const SCHEMA = {
+  title: { type: 'string', required: true },
+  description: { type: 'string' },
+  date: { type: 'date' },
+  image: { type: 'url' },
+  collaborators: { type: 'list' },
+  references: { type: 'list' },
+  resources: { type: 'list', itemType: 'url-or-text' }
+};
+
+/**
+ * A content file failed validation
+ */
+class FrontmatterError extends Error {
+  constructor(file, errors) {
+    super(errors.map(formatError).join('\n'));
+    this.name = 'FrontmatterError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Format a single error as "file:line: field: message"
+ */
+function formatError(error) {
+  const location = error.line ? `${error.file}:${error.line}` : error.file;
+  return error.field
+    ? `${location}: ${error.field}: ${error.message}`
+    : `${location}: ${error.message}`;
+}
+
+/**
+ * Find the line number of a key (and optionally its nth list item) in the file
+ */
+function locate(fileContent, key, itemIndex) {
+  const lines = fileContent.split(/\r?\n/);
+  if (lines[0].trim() !== '---') return null;
+
+  for (let i = 1; i < lines.length && lines[i].trim() !== '---'; i++) {
+    if (!lines[i].startsWith(`${key}:`)) continue;
+    if (itemIndex === undefined) return i + 1;
+
+    // Block list items follow the key on their own "- " lines
+    let seen = -1;
+    for (let j = i + 1; j < lines.length && /^\s+-|^\s*$/.test(lines[j]); j++) {
+      if (/^\s+-/.test(lines[j]) && ++seen === itemIndex) return j + 1;
+    }
+    return i + 1;
+  }
+  return null;
+}
+
+/**
+ * Get the raw text after "key:" in the frontmatter
+ */
+function rawValue(fileContent, key) {
+  const line = locate(fileContent, key);
+  if (!line) return null;
+  return fileContent.split(/\r?\n/)[line - 1]
+    .slice(key.length + 1)
+    .trim()
+    .replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * Check whether a date value is a real YYYY-MM-DD date
+ * YAML parses unquoted dates to Date objects, rolling impossible ones over
+ * (2024-13-01 becomes January 2025), so the raw text is checked instead
+ */
+function isValidDate(raw) {
+  if (typeof raw !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(raw)) return false;
+  const date = new Date(`${raw}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(raw);
+}
+
+/**
+ * Check whether a value is an absolute http(s) URL or a site path
+ */
+function isValidUrl(value) {
+  if (typeof value !== 'string' || !value) return false;
+  if (value.startsWith('/') && !value.startsWith('//')) return true;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a single field value against its declaration
+ * @returns {Array<{message, itemIndex?}>}
+ */
+function checkField(spec, value, raw) {
+  const problems = [];
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) {
+        problems.push({ message: 'must be non-empty text' });
+      }
+      break;
+    case 'date':
+      if (!isValidDate(raw)) {
+        problems.push({ message: `must be a date in YYYY-MM-DD format, got ${JSON.stringify(raw)}` });
+      }
+      break;
+    case 'url':
+      if (!isValidUrl(value)) {
+        problems.push({ message: `must be an http(s) URL or a path starting with /, got ${JSON.stringify(value)}` });
+      }
+      break;
+    case 'list':
+      if (!Array.isArray(value)) {
+        problems.push({ message: 'must be a list of "- item" lines' });
+        break;
+      }
+      value.forEach((item, itemIndex) => {
+        if (typeof item !== 'string' || !item.trim()) {
+          problems.push({ message: `item ${itemIndex + 1} must be text, got ${JSON.stringify(item)}`, itemIndex });
+        } else if (spec.itemType === 'url-or-text' && /^https?:/i.test(item) && !isValidUrl(item)) {
+          problems.push({ message: `item ${itemIndex + 1} looks like a link but is not a valid URL: ${item}`, itemIndex });
+        }
+      });
+      break;
+  }
+
+  return problems;
+}
+
+/**
+ * Validate parsed frontmatter
+ * Empty values (a bare "key:") count as absent
+ * @returns {Array<{file, line, field, message}>}
+ */
+function validateFrontmatter(data, fileContent, file) {
+  const errors = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    if (!SCHEMA[key]) {
+      errors.push({
+        file,
+        line: locate(fileContent, key),
+        field: key,
+        message: `unknown field (allowed: ${Object.keys(SCHEMA).join(', ')})`
+      });
+    }
+  }
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const value = data[key];
+
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) {
+        errors.push({ file, line: null, field: key, message: 'is required' });
+      }
+      continue;
+    }
+
+    for (const problem of checkField(spec, value, rawValue(fileContent, key))) {
+      errors.push({
+        file,
+        line: locate(fileContent, key, problem.itemIndex),
+        field: key,
+        message: problem.message
+      });
+    }
+  }
+
+  // Report in file order; errors without a line (missing fields) first
+  return errors.sort((a, b) => (a.line || 0) - (b.line || 0));
+}
+
+/**
+ * Normalize valid frontmatter: empty lists become [], dates become YYYY-MM-DD
+ */
+function normalizeFrontmatter(data) {
+  const normalized = { ...data };
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const value = normalized[key];
+    if (spec.type === 'list' && (value === null || value === undefined || value === '')) {
+      normalized[key] = [];
+    } else if (value === null || value === '') {
+      delete normalized[key];
+    } else if (spec.type === 'date' && value instanceof Date) {
+      normalized[key] = value.toISOString().slice(0, 10);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Parse and validate a content file
+ * @param {string} fileContent - Raw file contents
+ * @param {string} file - Path used in error messages, e.g. content/about.md
+ * @returns {{frontmatter, body}} Normalized frontmatter and markdown body
+ * @throws {FrontmatterError} When the frontmatter is malformed or invalid
+ */
+function parseContentFile(fileContent, file) {
+  let parsed;
+  try {
+    parsed = matter(fileContent);
+  } catch (error) {
+    // YAML errors count lines from the opening --- marker
+    const line = error.mark ? error.mark.line + 2 : null;
+    throw new FrontmatterError(file, [{ file, line, field: null, message: error.reason || error.message }]);
+  }
+
+  const data = parsed.data;
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new FrontmatterError(file, [{ file, line: 1, field: null, message: 'frontmatter must be a set of "key: value" fields' }]);
+  }
+
+  const errors = validateFrontmatter(data, fileContent, file);
+  if (errors.length > 0) {
+    throw new FrontmatterError(file, errors);
+  }
+
+  return { frontmatter: normalizeFrontmatter(data), body: parsed.content };
+}
+
+/**
+ * Parse and validate every .md file in a directory
+ * Invalid files are left out of documents and their errors collected
+ * @returns {Promise<{documents: Array<{slug, frontmatter, body}>, errors: Array}>}
+ */
+async function readContentDir(contentDir) {
+  const files = (await fs.readdir(contentDir)).filter(f => f.endsWith('.md')).sort();
+  const documents = [];
+  const errors = [];
+
+  for (const file of files) {
+    const fileContent = await fs.readFile(path.join(contentDir, file), 'utf-8');
+    try {
+      documents.push({ slug: file.replace('.md', ''), ...parseContentFile(fileContent, `content/${file}`) });
+    } catch (error) {
+      if (!(error instanceof FrontmatterError)) throw error;
+      errors.push(...error.errors);
+    }
+  }
+
+  return { documents, errors };
+}
+
+module.exports = {
+  SCHEMA,
+  FrontmatterError,
+  formatError,
+  parseContentFile,
+  readContentDir
+};
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { parseContentFile, readContentDir, FrontmatterError, formatError } = require('./frontmatter');
+
+/**
+ * The errors parseContentFile throws for a file, formatted
+ */
+function errorsOf(fileContent) {
+  try {
+    parseContentFile(fileContent, 'content/test.md');
+  } catch (error) {
+    assert.ok(error instanceof FrontmatterError);
+    return error.errors.map(formatError);
+  }
+  assert.fail('expected a FrontmatterError');
+}
+
+test('parses valid frontmatter and normalizes it', () => {
+  const { frontmatter, body } = parseContentFile([
+    '---',
+    'title: Notes',
+    'date: 2024-01-15',
+    'collaborators:',
+    'description: ""',
+    '---',
+    '',
+    'Body'
+  ].join('\n'), 'content/test.md');
+
+  assert.deepEqual(frontmatter, { title: 'Notes', date: '2024-01-15', collaborators: [], references: [], resources: [] });
+  assert.equal(body.trim(), 'Body');
+});
+
+test('requires a title', () => {
+  assert.deepEqual(errorsOf('---\ndescription: x\n---\n'), ['content/test.md: title: is required']);
+});
+
+test('reports unknown fields and bad values with their lines', () => {
+  assert.deepEqual(errorsOf([
+    '---',
+    'title: Notes',
+    'tags: [a]',
+    'date: 2024-13-01',
+    'image: javascript:alert(1)',
+    '---'
+  ].join('\n')), [
+    'content/test.md:3: tags: unknown field (allowed: title, description, date, image, collaborators, references, resources)',
+    'content/test.md:4: date: must be a date in YYYY-MM-DD format, got "2024-13-01"',
+    'content/test.md:5: image: must be an http(s) URL or a path starting with /, got "javascript:alert(1)"'
+  ]);
+});
+
+test('points list errors at the item line', () => {
+  assert.deepEqual(errorsOf([
+    '---',
+    'title: Notes',
+    'resources:',
+    '  - Some book',
+    '  - https://exa mple.com',
+    '---'
+  ].join('\n')), [
+    'content/test.md:5: resources: item 2 looks like a link but is not a valid URL: https://exa mple.com'
+  ]);
+});
+
+test('reports YAML syntax errors', () => {
+  const [error] = errorsOf('---\ntitle: [unclosed\n---\n');
+  assert.match(error, /^content\/test\.md:\d+: /);
+});
+
+test('readContentDir collects documents and errors per file', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'frontmatter-'));
+  try {
+    await fs.writeFile(path.join(dir, 'good.md'), '---\ntitle: Good\n---\nText');
+    await fs.writeFile(path.join(dir, 'bad.md'), '---\ndate: soon\n---\n');
+    await fs.writeFile(path.join(dir, 'notes.txt'), 'ignored');
+
+    const { documents, errors } = await readContentDir(dir);
+    assert.deepEqual(documents.map(doc => doc.slug), ['good']);
+    assert.deepEqual(errors.map(formatError), [
+      'content/bad.md: title: is required',
+      'content/bad.md:2: date: must be a date in YYYY-MM-DD format, got "soon"'
+    ]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
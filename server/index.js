@@ -1,8 +1,14 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
-const marked = require('marked');
-const matter = require('gray-matter');
+const { watch } = require('fs');
+const { parseContentFile, readContentDir, FrontmatterError, formatError } = require('./frontmatter');
+const search = require('./search');
+const render = require('./render');
+const treeBranches = require('./tree');
+const { renderDocument } = require('./content');
+const Router = require('../public/js/router');
+const { validateSite, formatReport } = require('./validate');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -13,47 +19,103 @@ const CATEGORIES_FILE = path.join(__dirname, '..', 'categories', 'tree-structure
 const PUBLIC_DIR = path.join(__dirname, '..', 'public');
 
 // Middleware
-app.use(express.static(PUBLIC_DIR));
+// index.html is served through the page renderer, not as a static file
+app.use(express.static(PUBLIC_DIR, { index: false }));
 app.use(express.json());
 
-// Configure marked for safe rendering
-marked.setOptions({
-  gfm: true,
-  breaks: true
-});
+/**
+ * Parse a depth query parameter: a whole number, or undefined if absent
+ * @returns {number|undefined|null} null when invalid
+ */
+function parseDepth(value) {
+  if (value === undefined) return undefined;
+  return /^\d+$/.test(value) ? Number(value) : null;
+}
 
 /**
  * Get the tree structure for D3 visualization
+ * ?depth=N cuts it N levels below the root; cut branches have
+ * hasChildren: true and load through /api/tree/children
  */
 app.get('/api/tree', async (req, res) => {
+  const depth = parseDepth(req.query.depth);
+  if (depth === null) {
+    return res.status(400).json({ error: 'depth must be a whole number' });
+  }
+  
   try {
-    const treeData = await fs.readFile(CATEGORIES_FILE, 'utf-8');
-    res.json(JSON.parse(treeData));
+    const treeData = JSON.parse(await fs.readFile(CATEGORIES_FILE, 'utf-8'));
+    res.json(depth === undefined ? treeData : treeBranches.pruneTree(treeData, depth));
   } catch (error) {
     console.error('Error reading tree structure:', error);
     res.status(500).json({ error: 'Failed to load tree structure' });
   }
 });
 
+/**
+ * Get the children of one branch
+ * ?path= is the branch's URL segments (making/experiments, empty for the
+ * root); ?depth=N includes N levels, default 1
+ */
+app.get('/api/tree/children', async (req, res) => {
+  const depth = parseDepth(req.query.depth);
+  if (depth === null || depth === 0) {
+    return res.status(400).json({ error: 'depth must be a whole number above 0' });
+  }
+  const segments = String(req.query.path || '').split('/').filter(Boolean);
+  
+  try {
+    const treeData = JSON.parse(await fs.readFile(CATEGORIES_FILE, 'utf-8'));
+    const children = treeBranches.getChildren(treeData, segments, depth);
+    if (!children) {
+      return res.status(404).json({ error: `No branch at path: ${segments.join('/')}` });
+    }
+    res.json(children);
+  } catch (error) {
+    console.error('Error reading tree structure:', error);
+    res.status(500).json({ error: 'Failed to load tree structure' });
+  }
+});
+
+/**
+ * Read and validate a content file
+ * @throws {FrontmatterError} When its frontmatter is invalid
+ */
+async function readContentFile(file) {
+  const fileContent = await fs.readFile(path.join(CONTENT_DIR, file), 'utf-8');
+  return parseContentFile(fileContent, `content/${file}`);
+}
+
+/**
+ * Read every valid content file, logging and skipping invalid ones
+ * @returns {Promise<Array<{slug, frontmatter, body}>>}
+ */
+async function readAllContent() {
+  const { documents, errors } = await readContentDir(CONTENT_DIR);
+  if (errors.length > 0) {
+    console.error(`Skipping invalid content files:\n${errors.map(formatError).join('\n')}`);
+  }
+  return documents;
+}
+
+/**
+ * Read a content file and render its markdown
+ */
+async function loadContentData(slug) {
+  return renderDocument(await readContentFile(`${slug}.md`));
+}
+
 /**
  * Get content for a specific node
  */
 app.get('/api/content/:slug', async (req, res) => {
   try {
-    const { slug } = req.params;
-    const filePath = path.join(CONTENT_DIR, `${slug}.md`);
-    
-    const fileContent = await fs.readFile(filePath, 'utf-8');
-    const { data: frontmatter, content } = matter(fileContent);
-    
-    const htmlContent = marked.parse(content);
-    
-    res.json({
-      ...frontmatter,
-      content: htmlContent,
-      raw: content
-    });
+    res.json(await loadContentData(req.params.slug));
   } catch (error) {
+    if (error instanceof FrontmatterError) {
+      console.error(`Invalid frontmatter:\n${error.message}`);
+      return res.status(422).json({ error: 'Invalid frontmatter', details: error.errors.map(formatError) });
+    }
     console.error('Error reading content:', error);
     res.status(404).json({ error: 'Content not found' });
   }
@@ -64,38 +126,201 @@ app.get('/api/content/:slug', async (req, res) => {
  */
 app.get('/api/content', async (req, res) => {
   try {
-    const files = await fs.readdir(CONTENT_DIR);
-    const markdownFiles = files.filter(f => f.endsWith('.md'));
-    
-    const contents = await Promise.all(
-      markdownFiles.map(async (file) => {
-        const filePath = path.join(CONTENT_DIR, file);
-        const fileContent = await fs.readFile(filePath, 'utf-8');
-        const { data: frontmatter } = matter(fileContent);
-        return {
-          slug: file.replace('.md', ''),
-          ...frontmatter
-        };
-      })
-    );
-    
-    res.json(contents);
+    const documents = await readAllContent();
+    res.json(documents.map(({ slug, frontmatter }) => ({ slug, ...frontmatter })));
   } catch (error) {
     console.error('Error listing content:', error);
     res.status(500).json({ error: 'Failed to list content' });
   }
 });
 
+/**
+ * Search index, built on first use and dropped whenever files change
+ */
+let searchIndex = null;
+
+async function getSearchIndex() {
+  if (searchIndex) return searchIndex;
+  
+  const documents = await readAllContent();
+  const tree = JSON.parse(await fs.readFile(CATEGORIES_FILE, 'utf-8'));
+  
+  searchIndex = search.buildIndex(documents, tree);
+  return searchIndex;
+}
+
+/**
+ * Search content by title, description, frontmatter lists and body
+ */
+app.get('/api/search', async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+    
+    if (!query) {
+      return res.json({ query, results: [] });
+    }
+    
+    const index = await getSearchIndex();
+    res.json({ query, results: search.search(index, query, { limit }) });
+  } catch (error) {
+    console.error('Error searching content:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+/**
+ * Stream live reload events to connected browsers (Server-Sent Events)
+ */
+const eventClients = new Set();
+
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 2000\n\n');
+  
+  eventClients.add(res);
+  req.on('close', () => {
+    eventClients.delete(res);
+  });
+});
+
+/**
+ * Send an event to every connected browser
+ */
+function broadcast(event, data) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of eventClients) {
+    client.write(message);
+  }
+}
+
+/**
+ * Watch content and tree files, broadcasting changes.
+ * Editors often fire several events per save, so changes are debounced.
+ */
+const WATCH_DEBOUNCE = 100;
+const pendingChanges = new Map();
+
+function queueChange(key, event, data) {
+  clearTimeout(pendingChanges.get(key));
+  pendingChanges.set(key, setTimeout(() => {
+    pendingChanges.delete(key);
+    searchIndex = null;
+    broadcast(event, data);
+  }, WATCH_DEBOUNCE));
+}
+
+function watchForChanges() {
+  try {
+    watch(CONTENT_DIR, (eventType, filename) => {
+      if (filename && filename.endsWith('.md')) {
+        const slug = filename.replace('.md', '');
+        queueChange(`content:${slug}`, 'content', { slug });
+      }
+    });
+    
+    // Watch the directory rather than the file: categorize.js rewrites the
+    // file, which some platforms report as a rename that ends a file watcher
+    watch(path.dirname(CATEGORIES_FILE), (eventType, filename) => {
+      if (filename === path.basename(CATEGORIES_FILE)) {
+        queueChange('tree', 'tree', {});
+      }
+    });
+  } catch (error) {
+    console.error('Live reload disabled, could not watch files:', error.message);
+  }
+}
+
+// Keep idle connections open through proxies
+setInterval(() => {
+  for (const client of eventClients) {
+    client.write(': ping\n\n');
+  }
+}, 30000).unref();
+
+/**
+ * Render the page for a node path, with its content pre-rendered
+ * Unknown paths get the app shell with a 404 status
+ */
+async function sendPage(res, namePath) {
+  try {
+    const template = await fs.readFile(path.join(PUBLIC_DIR, 'index.html'), 'utf-8');
+    const tree = JSON.parse(await fs.readFile(CATEGORIES_FILE, 'utf-8'));
+    
+    const url = namePath ? Router.toUrl(namePath) : null;
+    const page = render.collectPages(tree).find(p => p.url === url) || null;
+    const data = page ? await loadContentData(page.slug).catch(() => null) : null;
+    
+    const html = render.renderPage(template, { tree, page, data });
+    const dataSource = { type: 'api', ...render.getFrontendSettings() };
+    res.status(namePath ? 200 : 404).send(render.injectDataSource(html, dataSource));
+  } catch (error) {
+    console.error('Error rendering page:', error);
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+  }
+}
+
 /**
  * Serve the main page
  */
 app.get('/', (req, res) => {
-  res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+  sendPage(res, []);
+});
+
+/**
+ * Serve node deep links (/n/...); the client router then hydrates
+ * the same node. A regex route with no captures, so Express does not
+ * decode (and reject) the path before Router.getSegments does.
+ */
+app.get(/^\/n\//, async (req, res) => {
+  try {
+    const tree = JSON.parse(await fs.readFile(CATEGORIES_FILE, 'utf-8'));
+    const segments = Router.getSegments(req.path);
+    sendPage(res, segments && Router.resolve(tree, segments));
+  } catch (error) {
+    console.error('Error resolving page:', error);
+    res.status(500).sendFile(path.join(PUBLIC_DIR, 'index.html'));
+  }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Knowledge website running at http://localhost:${PORT}`);
+/**
+ * Sitemap of every canonical node page
+ */
+app.get('/sitemap.xml', async (req, res) => {
+  try {
+    const tree = JSON.parse(await fs.readFile(CATEGORIES_FILE, 'utf-8'));
+    const lastModified = {};
+    for (const page of render.collectPages(tree)) {
+      const data = await loadContentData(page.slug).catch(() => null);
+      if (data && data.date) lastModified[page.slug] = data.date;
+    }
+    res.type('application/xml').send(render.renderSitemap(tree, { lastModified }));
+  } catch (error) {
+    console.error('Error generating sitemap:', error);
+    res.status(500).send('Failed to generate sitemap');
+  }
 });
 
+// Start server, unless loaded by a test
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Knowledge website running at http://localhost:${PORT}`);
+    watchForChanges();
+    
+    // Report tree and content problems without refusing to serve
+    validateSite()
+      .then(report => {
+        if (report.issues.length > 0) {
+          console.warn(`\nSite check found problems (run npm run check for details):\n${formatReport(report)}\n`);
+        }
+      })
+      .catch(error => console.error('Site check failed:', error));
+  });
+}
+
 module.exports = app;
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('./index');
+
+let server;
+let base;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+test('serves node paths from the tree', async () => {
+  const response = await fetch(`${base}/n/making`);
+  assert.equal(response.status, 200);
+  assert.match(await response.text(), /window\.__DATA_SOURCE__ = \{"type":"api","expandedInUrl":false\}/);
+});
+
+test('serves unknown node paths as a 404 page', async () => {
+  const response = await fetch(`${base}/n/no-such-node`);
+  assert.equal(response.status, 404);
+});
+
+test('serves malformed node paths as a 404 page instead of failing', async () => {
+  const response = await fetch(`${base}/n/%E0%A4%A`);
+  assert.equal(response.status, 404);
+  assert.match(await response.text(), /<html/i);
+});
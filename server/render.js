@@ -0,0 +1,313 @@
+/**
+ * Page Rendering
+ * Renders real HTML pages per node (content, title, description and a nested
+ * <ul> of the tree) for crawlers and no-JS readers. The D3 app hydrates them
+ * in place. Also generates sitemap.xml. Shared by the server and builds.
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+const Router = require('../public/js/router');
+
+const CNAME_FILE = path.join(__dirname, '..', 'CNAME');
+const SITE_NAME = 'Ibrahim — Knowledge Map';
+
+// Same as ContentDisplay in public/js/content.js
+const TOC_MIN_HEADINGS = 2;
+const TOC_MAX_LEVEL = 3;
+
+/**
+ * Get the public site URL used for canonical links and the sitemap
+ * SITE_URL overrides the domain in CNAME
+ */
+function getSiteUrl() {
+  if (process.env.SITE_URL) {
+    return process.env.SITE_URL.replace(/\/+$/, '');
+  }
+  try {
+    const domain = fsSync.readFileSync(CNAME_FILE, 'utf-8').trim();
+    if (domain) return `https://${domain}`;
+  } catch {}
+  return '';
+}
+
+/**
+ * Get the frontend settings added to every page's DataSource config
+ * EXPANDED_IN_URL=1 keeps the expanded branches in the URL (?open=...)
+ */
+function getFrontendSettings() {
+  return { expandedInUrl: process.env.EXPANDED_IN_URL === '1' };
+}
+
+/**
+ * Escape text for safe HTML output
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * List every node with content as a page
+ * The first node using a slug is its canonical page; later nodes reusing
+ * the slug point their canonical link there. Siblings sharing a URL
+ * segment (a name used twice, the tree's "Notes #2") are left out with
+ * their branches, as their URLs resolve to the first of them; npm run check
+ * reports them.
+ * @returns {Array<{namePath, url, slug, name, canonicalUrl}>}
+ */
+function collectPages(tree) {
+  const pages = [];
+  const canonicalBySlug = new Map();
+
+  function visit(node, namePath) {
+    if (node.slug) {
+      const url = Router.toUrl(namePath);
+      if (!canonicalBySlug.has(node.slug)) canonicalBySlug.set(node.slug, url);
+      pages.push({
+        namePath,
+        url,
+        slug: node.slug,
+        name: node.name,
+        canonicalUrl: canonicalBySlug.get(node.slug)
+      });
+    }
+    const segments = new Set();
+    for (const child of node.children || []) {
+      const segment = Router.slugify(child.name);
+      if (segments.has(segment)) continue;
+      segments.add(segment);
+      visit(child, [...namePath, child.name]);
+    }
+  }
+
+  visit(tree, []);
+  return pages;
+}
+
+/**
+ * Render the tree as nested lists of links for navigation without JS
+ */
+function renderTreeNav(tree, currentPath) {
+  const currentUrl = currentPath ? Router.toUrl(currentPath) : null;
+
+  function renderNode(node, namePath) {
+    const url = Router.toUrl(namePath);
+    const current = url === currentUrl ? ' aria-current="page"' : '';
+    const label = node.slug
+      ? `<a href="${url}"${current}>${escapeHtml(node.name)}</a>`
+      : `<span>${escapeHtml(node.name)}</span>`;
+    const children = (node.children || [])
+      .map(child => renderNode(child, [...namePath, child.name]))
+      .join('');
+    return `<li>${label}${children ? `<ul>${children}</ul>` : ''}</li>`;
+  }
+
+  return `<nav class="tree-nav" id="tree-nav" aria-label="Knowledge tree"><ul>${renderNode(tree, [])}</ul></nav>`;
+}
+
+/**
+ * Format a date as "Month YYYY", as the content panel does
+ */
+function formatDate(value) {
+  const date = new Date(value);
+  if (isNaN(date)) return String(value);
+  const month = date.toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' });
+  return `${month} ${date.getUTCFullYear()}`;
+}
+
+/**
+ * Render the parts of the content panel, mirroring ContentDisplay.renderContent
+ * @param {Object} data - Frontmatter fields plus rendered `content` HTML
+ */
+function renderContentParts(data, fallbackName) {
+  let body = data.content || '';
+  let description = data.description || '';
+
+  // Without an explicit description, the first paragraph is used
+  if (!description) {
+    const firstP = body.match(/<p>([\s\S]*?)<\/p>/);
+    if (firstP) {
+      description = firstP[1].replace(/<[^>]+>/g, '');
+      body = body.replace(firstP[0], '');
+    }
+  } else {
+    description = escapeHtml(description);
+  }
+
+  const metaItems = [];
+  if (data.date) {
+    metaItems.push(`<span class="content-meta-item">${escapeHtml(formatDate(data.date))}</span>`);
+  }
+  if (data.collaborators && data.collaborators.length > 0) {
+    const collabList = Array.isArray(data.collaborators)
+      ? data.collaborators.join(', ')
+      : data.collaborators;
+    metaItems.push(`<span class="content-meta-item">${escapeHtml(collabList)}</span>`);
+  }
+  if (data.wordCount) {
+    const words = `${data.wordCount.toLocaleString('en-US')} ${data.wordCount === 1 ? 'word' : 'words'}`;
+    metaItems.push(`<span class="content-meta-item">${words} · ${data.readingTime} min read</span>`);
+  }
+
+  const image = data.image
+    ? `<img src="${escapeHtml(data.image)}" alt="${escapeHtml(data.title || fallbackName)}" class="content-image">`
+    : '';
+
+  let footer = '';
+  if (Array.isArray(data.references) && data.references.length > 0) {
+    const refList = data.references.map(ref => `<li>${escapeHtml(ref)}</li>`).join('');
+    footer += `<div class="content-references"><span class="content-references-label">references</span> <ul class="content-references-list">${refList}</ul></div>`;
+  }
+  if (Array.isArray(data.resources) && data.resources.length > 0) {
+    const resList = data.resources.map(res => {
+      try {
+        const url = new URL(res);
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+          return `<li><a href="${escapeHtml(res)}" target="_blank" rel="noopener">${escapeHtml(url.hostname.replace('www.', ''))}</a></li>`;
+        }
+      } catch {}
+      return `<li>${escapeHtml(res)}</li>`;
+    }).join('');
+    footer += `<div class="content-resources"><span class="content-references-label">resources</span> <ul class="content-references-list">${resList}</ul></div>`;
+  }
+
+  // Heading links and table of contents, as ContentDisplay adds them
+  body = body.replace(/<(h[1-6]) id="([^"]+)">([\s\S]*?)<\/\1>/g, (match, tag, id, inner) => {
+    // The heading's text is already escaped HTML
+    const label = `Copy link to section: ${inner.replace(/<[^>]+>/g, '').replace(/"/g, '&quot;')}`;
+    return `<${tag} id="${id}">${inner}<a class="heading-anchor" href="#${id}" aria-label="${label}">#</a></${tag}>`;
+  });
+  const headings = (data.headings || []).filter(heading => heading.level <= TOC_MAX_LEVEL);
+  let toc = '';
+  if (headings.length >= TOC_MIN_HEADINGS) {
+    const topLevel = Math.min(...headings.map(heading => heading.level));
+    const items = headings.map(heading =>
+      `<li class="content-toc-item content-toc-item--depth-${heading.level - topLevel}"><a href="#${escapeHtml(encodeURIComponent(heading.id))}" data-id="${escapeHtml(heading.id)}">${escapeHtml(heading.text)}</a></li>`
+    ).join('');
+    toc = `<ol class="content-toc-list">${items}</ol>`;
+  }
+
+  return {
+    title: escapeHtml(data.title || fallbackName),
+    meta: metaItems.join(''),
+    description,
+    image,
+    toc,
+    body: body.trim(),
+    footer
+  };
+}
+
+/**
+ * Fill an element, found by id, with HTML
+ */
+function fillElement(html, id, inner) {
+  const pattern = new RegExp(`(<([a-z0-9]+)\\b[^>]*\\bid="${id}"[^>]*>)[\\s\\S]*?(</\\2>)`);
+  return html.replace(pattern, (match, open, tag, close) => `${open}${inner}${close}`);
+}
+
+/**
+ * Add a class to an element, found by id
+ */
+function addClass(html, id, className) {
+  const pattern = new RegExp(`(<[a-z0-9]+\\b[^>]*\\bclass=")([^"]*)("[^>]*\\bid="${id}")`);
+  return html.replace(pattern, `$1$2 ${className}$3`);
+}
+
+/**
+ * Render a full page for a node
+ * @param {string} template - The app shell (public/index.html)
+ * @param {Object} options
+ * @param {Object} options.tree - Tree structure
+ * @param {Object} options.page - Page from collectPages, or null for a not-found page
+ * @param {Object} options.data - Frontmatter fields plus rendered `content` HTML
+ * @param {string} options.siteUrl - Public site URL for canonical links
+ */
+function renderPage(template, { tree, page, data, siteUrl = getSiteUrl() }) {
+  let html = template;
+  const pageTitle = page && data
+    ? `${escapeHtml(data.title || page.name)} — ${SITE_NAME}`
+    : escapeHtml(SITE_NAME);
+
+  // Head: title, description, canonical link
+  const head = [];
+  if (data && data.description) {
+    head.push(`<meta name="description" content="${escapeHtml(data.description)}">`);
+  }
+  if (page) {
+    head.push(`<link rel="canonical" href="${escapeHtml(siteUrl + page.canonicalUrl)}">`);
+  }
+  // Function replacers, so "$&" and the like in names and titles are not
+  // taken as replacement patterns
+  html = html.replace(/<title>[\s\S]*?<\/title>/, () => `<title>${pageTitle}</title>${head.map(tag => `\n  ${tag}`).join('')}`);
+
+  // Tree navigation for readers without JS; the D3 tree replaces it
+  html = html.replace(
+    /(<div[^>]*\bid="tree-container"[^>]*>)/,
+    (match, open) => `${open}\n        ${renderTreeNav(tree, page ? page.namePath : null)}`
+  );
+
+  if (page && data) {
+    const parts = renderContentParts(data, page.name);
+    html = fillElement(html, 'content-title', parts.title);
+    html = fillElement(html, 'content-meta', parts.meta);
+    html = fillElement(html, 'content-description', parts.description);
+    html = fillElement(html, 'content-toc', parts.toc);
+    html = fillElement(html, 'content-body', parts.body);
+    html = fillElement(html, 'content-footer', parts.footer);
+    html = fillElement(html, 'content-image-container', parts.image);
+    html = addClass(html, 'content-section', 'visible');
+    html = addClass(html, 'tree-section', 'has-content');
+  }
+
+  return html;
+}
+
+/**
+ * Add the DataSource config (see public/js/data-source.js) to a page
+ * "<" is escaped so content containing </script> cannot end the block early
+ * @param {Array<string>} scripts - URLs of scripts the config needs (e.g.
+ *   the static build's data.js), loaded before the app
+ */
+function injectDataSource(html, config, scripts = []) {
+  const json = JSON.stringify(config).replace(/</g, '\\u003c');
+  const tags = [
+    `<script>window.__DATA_SOURCE__ = ${json};</script>`,
+    ...scripts.map(src => `<script src="${escapeHtml(src)}"></script>`)
+  ];
+  return html.replace('<!-- D3.js -->', () => `${tags.join('\n  ')}\n  <!-- D3.js -->`);
+}
+
+/**
+ * Render sitemap.xml listing each canonical page once
+ */
+function renderSitemap(tree, { siteUrl = getSiteUrl(), lastModified = {} } = {}) {
+  const urls = [...new Set(collectPages(tree).map(page => page.canonicalUrl))];
+  const slugByUrl = new Map(collectPages(tree).map(page => [page.url, page.slug]));
+
+  const entries = urls.map(url => {
+    const modified = lastModified[slugByUrl.get(url)];
+    const lastmod = modified ? `\n    <lastmod>${new Date(modified).toISOString().slice(0, 10)}</lastmod>` : '';
+    return `  <url>\n    <loc>${escapeHtml(siteUrl + url)}</loc>${lastmod}\n  </url>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</urlset>
+`;
+}
+
+module.exports = {
+  getSiteUrl,
+  getFrontendSettings,
+  collectPages,
+  renderPage,
+  renderSitemap,
+  injectDataSource
+};
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { collectPages, renderPage, renderSitemap, injectDataSource } = require('./render');
+
+const tree = {
+  name: 'Root',
+  slug: 'about',
+  children: [
+    {
+      name: 'Making',
+      slug: null,
+      children: [
+        { name: 'Lamps & Lights', slug: 'lamps', children: null },
+        { name: 'Notes', slug: 'notes', children: null },
+        { name: 'Notes', slug: 'other-notes', children: [{ name: 'Hidden', slug: 'hidden', children: null }] }
+      ]
+    },
+    { name: 'Reading', slug: 'lamps', children: null }
+  ]
+};
+
+const template = `<html>
+<head>
+  <title>Site</title>
+</head>
+<body>
+  <section class="tree-section" id="tree-section">
+    <div class="tree-container" id="tree-container">
+      <svg id="tree-svg"></svg>
+    </div>
+  </section>
+  <section class="content-section" id="content-section">
+    <h1 class="content-title" id="content-title"></h1>
+    <div class="content-meta" id="content-meta"></div>
+    <div class="content-description" id="content-description"></div>
+    <div class="content-image-container" id="content-image-container"></div>
+    <nav class="content-toc" id="content-toc"></nav>
+    <div class="content-body" id="content-body"></div>
+    <footer class="content-footer" id="content-footer"></footer>
+  </section>
+  <!-- D3.js -->
+</body>
+</html>`;
+
+function findPage(url) {
+  return collectPages(tree).find(page => page.url === url);
+}
+
+test('collectPages lists one page per URL, with canonical links for reused slugs', () => {
+  assert.deepEqual(collectPages(tree).map(({ url, slug, canonicalUrl }) => ({ url, slug, canonicalUrl })), [
+    { url: '/', slug: 'about', canonicalUrl: '/' },
+    { url: '/n/making/lamps-lights', slug: 'lamps', canonicalUrl: '/n/making/lamps-lights' },
+    { url: '/n/making/notes', slug: 'notes', canonicalUrl: '/n/making/notes' },
+    { url: '/n/reading', slug: 'lamps', canonicalUrl: '/n/making/lamps-lights' }
+  ]);
+  assert.deepEqual(findPage('/n/making/lamps-lights').namePath, ['Making', 'Lamps & Lights']);
+});
+
+test('renderPage fills in the node content, escaped', () => {
+  const html = renderPage(template, {
+    tree,
+    page: findPage('/n/making/lamps-lights'),
+    data: {
+      title: 'Lamps <& Lights>',
+      description: 'Paper "shades"',
+      content: '<p>Folded paper.</p>',
+      references: ['<script>']
+    },
+    siteUrl: 'https://example.com'
+  });
+
+  assert.match(html, /<title>Lamps &lt;&amp; Lights&gt; — .*<\/title>/);
+  assert.match(html, /<meta name="description" content="Paper &quot;shades&quot;">/);
+  assert.match(html, /<link rel="canonical" href="https:\/\/example\.com\/n\/making\/lamps-lights">/);
+  assert.match(html, /<h1 class="content-title" id="content-title">Lamps &lt;&amp; Lights&gt;<\/h1>/);
+  assert.match(html, /<div class="content-body" id="content-body"><p>Folded paper\.<\/p><\/div>/);
+  assert.match(html, /<li>&lt;script&gt;<\/li>/);
+  assert.match(html, /class="content-section visible" id="content-section"/);
+  assert.match(html, /<a href="\/n\/making\/lamps-lights" aria-current="page">Lamps &amp; Lights<\/a>/);
+});
+
+test('renderPage keeps $ patterns in names and titles as they are', () => {
+  const dollarTree = { name: 'Root $& $` $\'', slug: 'about', children: null };
+  const [page] = collectPages(dollarTree);
+  const html = renderPage(template, {
+    tree: dollarTree,
+    page,
+    data: { title: 'Costs $& $` $\' $$', content: '<p>Body</p>' },
+    siteUrl: ''
+  });
+
+  assert.match(html, /<title>Costs \$&amp; \$` \$&#39; \$\$ — /);
+  assert.match(html, /<h1 class="content-title" id="content-title">Costs \$&amp; \$` \$&#39; \$\$<\/h1>/);
+  assert.match(html, />Root \$&amp; \$` \$&#39;<\/a>/);
+  assert.equal(html.split('<title>').length, 2);
+  assert.equal(html.split('id="tree-container"').length, 2);
+});
+
+test('renderPage without a page leaves the content panel empty', () => {
+  const html = renderPage(template, { tree, page: null, data: null, siteUrl: '' });
+  assert.match(html, /<title>Ibrahim — Knowledge Map<\/title>/);
+  assert.match(html, /<div class="content-body" id="content-body"><\/div>/);
+  assert.doesNotMatch(html, /rel="canonical"/);
+  assert.match(html, /<nav class="tree-nav"/);
+});
+
+test('renderSitemap lists each canonical page once, escaped', () => {
+  const xml = renderSitemap(tree, { siteUrl: 'https://example.com/a&b', lastModified: { notes: '2024-05-01' } });
+  const locations = [...xml.matchAll(/<loc>(.*?)<\/loc>/g)].map(match => match[1]);
+
+  assert.deepEqual(locations, [
+    'https://example.com/a&amp;b/',
+    'https://example.com/a&amp;b/n/making/lamps-lights',
+    'https://example.com/a&amp;b/n/making/notes'
+  ]);
+  assert.match(xml, /<loc>https:\/\/example\.com\/a&amp;b\/n\/making\/notes<\/loc>\n {4}<lastmod>2024-05-01<\/lastmod>/);
+});
+
+test('injectDataSource keeps $ patterns in the content as they are', () => {
+  const content = 'Math: $$x$$, a match $&, before $` and after $\'';
+  const html = injectDataSource(template, { type: 'inline', content: { a: { content } } });
+  const json = html.match(/window\.__DATA_SOURCE__ = (.*);<\/script>/)[1];
+
+  assert.equal(JSON.parse(json).content.a.content, content);
+  assert.equal(html.split('<!-- D3.js -->').length, 2);
+});
+
+test('injectDataSource loads the scripts the config needs after it', () => {
+  const html = injectDataSource(template, { type: 'inline' }, ['/data.js']);
+  assert.match(html, /<script>window\.__DATA_SOURCE__ = \{"type":"inline"\};<\/script>\n {2}<script src="\/data\.js"><\/script>\n {2}<!-- D3\.js -->/);
+});
+
+test('injectDataSource adds the config before the scripts, with < escaped', () => {
+  const html = injectDataSource(template, { type: 'inline', content: { a: { content: '</script>' } } });
+  assert.match(html, /<script>window\.__DATA_SOURCE__ = \{"type":"inline","content":\{"a":\{"content":"\\u003c\/script>"\}\}\};<\/script>\n {2}<!-- D3\.js -->/);
+});
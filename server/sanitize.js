@@ -0,0 +1,145 @@
+/**
+ * HTML Sanitization
+ * Cleans rendered markdown against an allow-list of tags, attributes and URL
+ * schemes before it reaches the browser. Shared by the server and builds.
+ *
+ * POLICY:
+ * The default policy covers what marked produces. Trusted embeds are allowed
+ * explicitly in sanitize-policy.json at the project root, using sanitize-html
+ * option names; lists there are added to the defaults, e.g.
+ *   {
+ *     "allowedTags": ["iframe"],
+ *     "allowedAttributes": { "iframe": ["src", "width", "height", "allowfullscreen"] },
+ *     "allowedIframeHostnames": ["www.youtube-nocookie.com"]
+ *   }
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+const sanitizeHtml = require('sanitize-html');
+
+const POLICY_FILE = path.join(__dirname, '..', 'sanitize-policy.json');
+
+/**
+ * Tags, attributes and schemes allowed in rendered markdown
+ */
+const DEFAULT_POLICY = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr',
+    'blockquote', 'pre', 'code', 'em', 'strong', 'del', 's', 'sup', 'sub',
+    'ul', 'ol', 'li', 'a', 'img', 'span',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td', 'input'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title'],
+    // Heading ids, set by content.js for anchors
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    ol: ['start'],
+    input: ['type', 'checked', 'disabled']
+  },
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {},
+  allowedIframeHostnames: [],
+  allowProtocolRelative: false,
+  // Only GFM task list checkboxes survive
+  exclusiveFilter: frame => frame.tag === 'input' && frame.attribs.type !== 'checkbox'
+};
+
+/**
+ * Merge a policy's additions into the defaults
+ */
+function mergePolicy(base, extra) {
+  const merged = { ...base, ...extra };
+
+  for (const key of ['allowedTags', 'allowedSchemes', 'allowedIframeHostnames']) {
+    if (Array.isArray(extra[key])) {
+      merged[key] = [...new Set([...base[key], ...extra[key]])];
+    }
+  }
+  for (const key of ['allowedAttributes', 'allowedClasses', 'allowedSchemesByTag']) {
+    if (extra[key]) {
+      merged[key] = { ...base[key] };
+      for (const [tag, values] of Object.entries(extra[key])) {
+        merged[key][tag] = [...new Set([...(base[key][tag] || []), ...values])];
+      }
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Load the policy, adding sanitize-policy.json to the defaults if present
+ */
+function loadPolicy(file = POLICY_FILE) {
+  let extra;
+  try {
+    extra = JSON.parse(fsSync.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return DEFAULT_POLICY;
+    throw new Error(`Invalid sanitize policy ${path.basename(file)}: ${error.message}`);
+  }
+  return mergePolicy(DEFAULT_POLICY, extra);
+}
+
+let policy = null;
+
+/**
+ * Get the active policy, loading it on first use
+ */
+function getPolicy() {
+  if (!policy) policy = loadPolicy();
+  return policy;
+}
+
+/**
+ * Clean an HTML fragment
+ */
+function sanitize(html, options = getPolicy()) {
+  return sanitizeHtml(html || '', options);
+}
+
+/**
+ * Return a URL if it is a site path or uses an allowed scheme, else null
+ */
+function safeUrl(value, options = getPolicy()) {
+  if (typeof value !== 'string') return null;
+  const url = value.trim();
+  if (url.startsWith('/') && !url.startsWith('//')) return url;
+
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  return scheme && options.allowedSchemes.includes(scheme[1].toLowerCase()) ? url : null;
+}
+
+/**
+ * Sanitize a content record ({...frontmatter, content}) for the browser
+ * Rendered HTML is cleaned and the image URL checked; other frontmatter
+ * values are plain text, which the frontend escapes
+ */
+function sanitizeContent(data) {
+  const clean = { ...data, content: sanitize(data.content) };
+
+  if ('image' in clean) {
+    const image = safeUrl(clean.image);
+    if (image) clean.image = image;
+    else delete clean.image;
+  }
+
+  return clean;
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  loadPolicy,
+  getPolicy,
+  sanitize,
+  safeUrl,
+  sanitizeContent
+};
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { DEFAULT_POLICY, loadPolicy, sanitize, safeUrl, sanitizeContent } = require('./sanitize');
+
+test('keeps what marked produces', () => {
+  const html = '<h2 id="next">Next</h2><p><a href="https://example.com" title="x">link</a> <code class="language-js">x</code></p>';
+  assert.equal(sanitize(html, DEFAULT_POLICY), html);
+});
+
+test('removes scripts, event handlers and javascript: links', () => {
+  assert.equal(
+    sanitize('<p onclick="x()">Hi<script>alert(1)</script></p><a href="javascript:alert(1)">x</a>', DEFAULT_POLICY),
+    '<p>Hi</p><a>x</a>'
+  );
+});
+
+test('keeps only checkbox inputs', () => {
+  assert.equal(
+    sanitize('<input type="checkbox" checked disabled /><input type="text" />', DEFAULT_POLICY),
+    '<input type="checkbox" checked disabled />'
+  );
+});
+
+test('safeUrl allows site paths and allowed schemes only', () => {
+  assert.equal(safeUrl('/images/a.png'), '/images/a.png');
+  assert.equal(safeUrl(' https://example.com '), 'https://example.com');
+  assert.equal(safeUrl('//evil.example'), null);
+  assert.equal(safeUrl('javascript:alert(1)'), null);
+  assert.equal(safeUrl(42), null);
+});
+
+test('sanitizeContent cleans the HTML and drops unsafe images', () => {
+  const clean = sanitizeContent({ title: '<b>kept as text</b>', image: 'data:image/png;base64,x', content: '<img src="x" onerror="y()">' });
+  assert.deepEqual(clean, { title: '<b>kept as text</b>', content: '<img src="x" />' });
+});
+
+test('policy files add to the defaults', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sanitize-'));
+  try {
+    const file = path.join(dir, 'policy.json');
+    await fs.writeFile(file, JSON.stringify({
+      allowedTags: ['iframe'],
+      allowedAttributes: { iframe: ['src'] },
+      allowedIframeHostnames: ['www.youtube-nocookie.com']
+    }));
+    const policy = loadPolicy(file);
+
+    assert.ok(policy.allowedTags.includes('p'));
+    assert.equal(
+      sanitize('<iframe src="https://www.youtube-nocookie.com/embed/x"></iframe><iframe src="https://evil.example/"></iframe>', policy),
+      '<iframe src="https://www.youtube-nocookie.com/embed/x"></iframe><iframe></iframe>'
+    );
+    assert.equal(loadPolicy(path.join(dir, 'missing.json')), DEFAULT_POLICY);
+
+    await fs.writeFile(file, '{ nope');
+    assert.throws(() => loadPolicy(file), /Invalid sanitize policy policy\.json/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,116 @@
+/**
+ * Full-text Search
+ * Builds the precomputed search index over content files. Querying lives in
+ * public/js/search-engine.js so the browser can run it against static builds.
+ */
+
+const marked = require('marked');
+const SearchEngine = require('../public/js/search-engine');
+
+// Relative importance of each indexed field
+const FIELD_WEIGHTS = {
+  title: 5,
+  description: 3,
+  collaborators: 2,
+  references: 2,
+  resources: 2,
+  body: 1
+};
+
+const FIELDS = Object.keys(FIELD_WEIGHTS);
+const LIST_FIELDS = ['collaborators', 'references', 'resources'];
+
+/**
+ * Convert markdown to plain text for indexing and snippets
+ */
+function toPlainText(markdown) {
+  return marked.parse(markdown || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Map every slug in the tree to the name paths (root excluded) where it appears
+ */
+function collectSlugPaths(node, paths = new Map(), pathArr = null) {
+  const currentPath = pathArr ? [...pathArr, node.name] : [];
+
+  if (node.slug) {
+    if (!paths.has(node.slug)) paths.set(node.slug, []);
+    paths.get(node.slug).push(currentPath);
+  }
+
+  if (node.children) {
+    for (const child of node.children) {
+      collectSlugPaths(child, paths, currentPath);
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Build a search index
+ * The result is plain JSON, so it can be written out by the static builds
+ * @param {Array<{slug, frontmatter, body}>} documents - Parsed content files
+ * @param {Object} tree - Tree structure, used to attach node paths
+ */
+function buildIndex(documents, tree) {
+  const slugPaths = tree ? collectSlugPaths(tree) : new Map();
+  const postings = {};  // term -> [[docIndex, fieldIndex, [positions]]]
+
+  const docs = [...documents]
+    .sort((a, b) => a.slug.localeCompare(b.slug))
+    .map(({ slug, frontmatter, body }, docIndex) => {
+      const fields = {
+        title: frontmatter.title || slug,
+        description: frontmatter.description || '',
+        body: toPlainText(body)
+      };
+      for (const field of LIST_FIELDS) {
+        const value = frontmatter[field];
+        fields[field] = Array.isArray(value) ? value.join(', ') : (value || '');
+      }
+
+      FIELDS.forEach((field, fieldIndex) => {
+        const positions = new Map();
+        SearchEngine.tokenize(fields[field]).forEach((term, position) => {
+          if (!positions.has(term)) positions.set(term, []);
+          positions.get(term).push(position);
+        });
+
+        for (const [term, termPositions] of positions) {
+          if (!Object.prototype.hasOwnProperty.call(postings, term)) postings[term] = [];
+          postings[term].push([docIndex, fieldIndex, termPositions]);
+        }
+      });
+
+      return {
+        slug,
+        title: fields.title,
+        description: fields.description,
+        text: fields.body,
+        lists: LIST_FIELDS.map(field => fields[field]).filter(Boolean).join(' · '),
+        paths: slugPaths.get(slug) || []
+      };
+    });
+
+  return {
+    version: SearchEngine.INDEX_VERSION,
+    fields: FIELDS,
+    weights: FIELDS.map(field => FIELD_WEIGHTS[field]),
+    docs,
+    postings
+  };
+}
+
+module.exports = {
+  buildIndex,
+  search: SearchEngine.search
+};
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildIndex, search } = require('./search');
+const SearchEngine = require('../public/js/search-engine');
+
+const tree = {
+  name: 'Root',
+  slug: null,
+  children: [
+    { name: 'Making', slug: 'making', children: [{ name: 'Lamps', slug: 'lamps', children: null }] },
+    { name: 'Reading', slug: 'reading', children: null }
+  ]
+};
+
+const documents = [
+  { slug: 'lamps', frontmatter: { title: 'Paper lamps', description: 'Folding light', references: ['Noguchi'] }, body: 'Lamps made of **paper** and bamboo.' },
+  { slug: 'reading', frontmatter: { title: 'Reading list', description: 'Books' }, body: 'A book about paper making and another about light.' },
+  { slug: 'making', frontmatter: { title: 'Making' }, body: 'Things I build.' }
+];
+
+const index = buildIndex(documents, tree);
+
+test('tokenize lowercases, splits on non-letters and drops stop words', () => {
+  assert.deepEqual(SearchEngine.tokenize('The Café, and 3D-printing!'), ['café', '3d', 'printing']);
+  assert.deepEqual(SearchEngine.tokenize(''), []);
+});
+
+test('the index is plain JSON with node paths', () => {
+  assert.deepEqual(JSON.parse(JSON.stringify(index)), index);
+  assert.deepEqual(index.docs.find(doc => doc.slug === 'lamps').paths, [['Making', 'Lamps']]);
+  assert.equal(index.docs.find(doc => doc.slug === 'lamps').text, 'Lamps made of paper and bamboo.');
+});
+
+test('ranks title matches above body matches', () => {
+  assert.deepEqual(search(index, 'paper').map(result => result.slug), ['lamps', 'reading']);
+});
+
+test('matches every query token, the last one as a prefix', () => {
+  assert.deepEqual(search(index, 'paper mak').map(result => result.slug), ['reading']);
+  assert.deepEqual(search(index, 'noguchi').map(result => result.slug), ['lamps']);
+  assert.deepEqual(search(index, 'paper nothing'), []);
+  assert.deepEqual(search(index, 'the'), []);
+});
+
+test('builds highlighted, escaped snippets and honors the limit', () => {
+  const [result] = search(index, 'bamboo');
+  assert.match(result.snippet, /<mark>bamboo<\/mark>/);
+  assert.equal(search(index, 'paper', { limit: 1 }).length, 1);
+});
+
+test('rejects indexes of another version', () => {
+  assert.throws(() => search({ ...index, version: 0 }, 'paper'), /Unsupported search index version/);
+});
@@ -0,0 +1,83 @@
+/**
+ * Tree Branches
+ * Cuts tree-structure.json into branches so large trees can load lazily.
+ * A node whose children were left out has `hasChildren: true` in place of
+ * `children`. Branches are addressed by URL segments (see router.js), so the
+ * server API and the static shards use the same paths. Shared by the server
+ * and build targets.
+ */
+
+const Router = require('../public/js/router');
+
+// Levels below the root sent up front by default; keep in step with
+// TREE_DEPTH in public/js/data-source.js
+const DEFAULT_DEPTH = 3;
+
+/**
+ * Copy a node with `depth` levels of descendants; deeper branches are cut
+ */
+function pruneTree(node, depth) {
+  const { children, ...fields } = node;
+  if (!children || children.length === 0) return node;
+  if (depth <= 0) return { ...fields, hasChildren: true };
+  return { ...fields, children: children.map(child => pruneTree(child, depth - 1)) };
+}
+
+/**
+ * Find the node at a URL segment path, or null
+ */
+function findBranch(tree, segments) {
+  let node = tree;
+  for (const segment of segments) {
+    node = (node.children || []).find(child => Router.slugify(child.name) === segment);
+    if (!node) return null;
+  }
+  return node;
+}
+
+/**
+ * Get a branch's children with `depth` levels of their own (1 = none)
+ * @returns {Array|null} Children, or null if no node has that path
+ */
+function getChildren(tree, segments, depth = 1) {
+  const node = findBranch(tree, segments);
+  if (!node) return null;
+  return (node.children || []).map(child => pruneTree(child, depth - 1));
+}
+
+/**
+ * List every branch a tree cut at `depth` leaves unloaded, with the
+ * children a client fetches for it
+ * @returns {Array<{segments, children}>}
+ */
+function listBranches(tree, depth) {
+  const branches = [];
+
+  function visit(node, segments) {
+    if (!node.children || node.children.length === 0) return;
+    if (segments.length >= depth) {
+      branches.push({ segments, children: getChildren(node, []) });
+    }
+    node.children.forEach(child => visit(child, [...segments, Router.slugify(child.name)]));
+  }
+
+  visit(tree, []);
+  return branches;
+}
+
+/**
+ * Path of a branch's children file in the static builds, e.g.
+ * tree/making/experiments/children.json
+ */
+function branchFile(segments) {
+  return ['tree', ...segments, 'children.json'].join('/');
+}
+
+module.exports = {
+  DEFAULT_DEPTH,
+  pruneTree,
+  findBranch,
+  getChildren,
+  listBranches,
+  branchFile
+};
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pruneTree, findBranch, getChildren, listBranches, branchFile } = require('./tree');
+
+const tree = {
+  name: 'Root',
+  children: [
+    {
+      name: 'Making Things',
+      children: [
+        { name: 'Lamps', slug: 'lamps', children: [{ name: 'Paper', slug: 'paper' }] },
+        { name: 'Chairs', slug: 'chairs', children: [] }
+      ]
+    },
+    { name: 'Reading', slug: 'reading' }
+  ]
+};
+
+test('pruneTree cuts branches below the depth and marks them', () => {
+  const pruned = pruneTree(tree, 1);
+  assert.deepEqual(pruned.children[0], { name: 'Making Things', hasChildren: true });
+  assert.equal(pruned.children[1], tree.children[1]);
+  assert.equal(pruneTree(tree, 2).children[0].children[0].hasChildren, true);
+  // Empty child lists are leaves, not unloaded branches
+  assert.deepEqual(pruneTree(tree, 2).children[0].children[1], tree.children[0].children[1]);
+  assert.deepEqual(pruneTree(tree, 3), tree);
+});
+
+test('findBranch follows slugified names', () => {
+  assert.equal(findBranch(tree, []), tree);
+  assert.equal(findBranch(tree, ['making-things', 'lamps']), tree.children[0].children[0]);
+  assert.equal(findBranch(tree, ['making-things', 'tables']), null);
+  assert.equal(findBranch(tree, ['reading', 'anything']), null);
+});
+
+test('getChildren returns pruned children, or null for unknown paths', () => {
+  assert.deepEqual(getChildren(tree, ['making-things']), [
+    { name: 'Lamps', slug: 'lamps', hasChildren: true },
+    { name: 'Chairs', slug: 'chairs', children: [] }
+  ]);
+  assert.deepEqual(getChildren(tree, ['making-things'], 2)[0].children, [{ name: 'Paper', slug: 'paper' }]);
+  assert.deepEqual(getChildren(tree, ['reading']), []);
+  assert.equal(getChildren(tree, ['nowhere']), null);
+});
+
+test('listBranches lists every branch a cut tree leaves unloaded', () => {
+  const branches = listBranches(tree, 1);
+  assert.deepEqual(branches.map(branch => branch.segments), [
+    ['making-things'],
+    ['making-things', 'lamps']
+  ]);
+  assert.deepEqual(branches[1].children, [{ name: 'Paper', slug: 'paper' }]);
+  assert.deepEqual(listBranches(tree, 3), []);
+});
+
+test('branchFile maps segments to the static children file', () => {
+  assert.equal(branchFile(['making-things', 'lamps']), 'tree/making-things/lamps/children.json');
+  assert.equal(branchFile([]), 'tree/children.json');
+});
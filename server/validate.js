@@ -0,0 +1,234 @@
+/**
+ * Site Validation
+ * Checks tree-structure.json against its JSON Schema and against the content
+ * directory: missing and orphaned files, duplicate slugs and names, and
+ * frontmatter that does not match the schema in frontmatter.js. Used by
+ * `npm run check` and on server start.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { readContentDir } = require('./frontmatter');
+const Ajv = require('ajv');
+const Router = require('../public/js/router');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PATHS = {
+  content: path.join(ROOT_DIR, 'content'),
+  tree: path.join(ROOT_DIR, 'categories', 'tree-structure.json'),
+  schema: path.join(ROOT_DIR, 'categories', 'tree-structure.schema.json')
+};
+
+/**
+ * Create an issue record
+ * @param {'error'|'warning'} severity - Errors fail the check, warnings do not
+ */
+function issue(severity, code, message, location) {
+  return { severity, code, message, location };
+}
+
+/**
+ * Describe a node by its name path, e.g. "Hi, I'm Ibrahim > Input > Readings"
+ */
+function describePath(names) {
+  return names.join(' > ');
+}
+
+/**
+ * Turn a JSON pointer into the tree (/children/0/slug) into a readable location
+ */
+function describePointer(tree, pointer) {
+  const names = [tree.name];
+  const parts = pointer.split('/').filter(Boolean);
+  let node = tree;
+  let field = null;
+
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i] === 'children' && node && Array.isArray(node.children) && i + 1 < parts.length) {
+      node = node.children[Number(parts[++i])];
+      names.push(node && typeof node.name === 'string' ? node.name : `#${parts[i]}`);
+    } else {
+      field = parts.slice(i).join('.');
+      break;
+    }
+  }
+
+  return describePath(names) + (field ? ` (${field})` : '');
+}
+
+/**
+ * Validate the tree against the JSON Schema
+ */
+async function checkSchema(tree) {
+  const schema = JSON.parse(await fs.readFile(PATHS.schema, 'utf-8'));
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(schema);
+
+  if (validate(tree)) return [];
+
+  return validate.errors.map(error => issue(
+    'error',
+    'schema',
+    error.params && error.params.additionalProperty
+      ? `unknown property "${error.params.additionalProperty}"`
+      : error.message,
+    describePointer(tree, error.instancePath)
+  ));
+}
+
+/**
+ * Walk the tree, calling fn(node, namePath) for every node
+ */
+function walk(node, fn, namePath = []) {
+  if (!node || typeof node !== 'object') return;
+  const currentPath = [...namePath, node.name];
+  fn(node, currentPath);
+  if (Array.isArray(node.children)) {
+    node.children.forEach(child => walk(child, fn, currentPath));
+  }
+}
+
+/**
+ * Check the tree's nodes against each other and the content files
+ */
+function checkConsistency(tree, contentSlugs) {
+  const issues = [];
+  const slugUses = new Map();
+  const nameUses = new Map();
+
+  walk(tree, (node, namePath) => {
+    const location = describePath(namePath);
+
+    if (node.slug) {
+      if (!slugUses.has(node.slug)) slugUses.set(node.slug, []);
+      slugUses.get(node.slug).push(location);
+
+      if (!contentSlugs.has(node.slug)) {
+        issues.push(issue('error', 'missing-file', `content/${node.slug}.md does not exist`, location));
+      }
+    } else if (!Array.isArray(node.children)) {
+      issues.push(issue('error', 'empty-leaf', 'Leaf node has no slug, so it has nothing to show', location));
+    } else {
+      issues.push(issue('warning', 'no-content', 'Branch node has no slug, so selecting it shows nothing', location));
+    }
+
+    if (node.name) {
+      if (!nameUses.has(node.name)) nameUses.set(node.name, []);
+      nameUses.get(node.name).push(location);
+    }
+
+    // Siblings must be distinguishable by name and by URL segment
+    if (Array.isArray(node.children)) {
+      const seen = new Map();
+      for (const child of node.children) {
+        if (!child || typeof child.name !== 'string') continue;
+        const segment = Router.slugify(child.name);
+        if (seen.has(segment)) {
+          issues.push(issue(
+            'error',
+            'duplicate-sibling',
+            `"${child.name}" and "${seen.get(segment)}" share the URL segment "${segment}"`,
+            location
+          ));
+        } else {
+          seen.set(segment, child.name);
+        }
+      }
+    }
+  });
+
+  for (const [slug, locations] of slugUses) {
+    if (locations.length > 1) {
+      issues.push(issue(
+        'error',
+        'duplicate-slug',
+        `Slug "${slug}" is used by ${locations.length} nodes: ${locations.join('; ')}`,
+        locations[1]
+      ));
+    }
+  }
+
+  // categorize.js finds nodes by name, so repeated names are ambiguous there
+  for (const [name, locations] of nameUses) {
+    if (locations.length > 1) {
+      issues.push(issue(
+        'warning',
+        'duplicate-name',
+        `Name "${name}" is used by ${locations.length} nodes: ${locations.join('; ')}`,
+        locations[1]
+      ));
+    }
+  }
+
+  for (const slug of contentSlugs) {
+    if (!slugUses.has(slug)) {
+      issues.push(issue('warning', 'orphaned-file', 'Not referenced by any node, so it is unreachable', `content/${slug}.md`));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check every content file's frontmatter against the schema
+ */
+async function checkFrontmatter(contentDir) {
+  const { errors } = await readContentDir(contentDir);
+
+  return errors.map(error => issue(
+    'error',
+    'frontmatter',
+    error.field ? `${error.field}: ${error.message}` : error.message,
+    error.line ? `${error.file}:${error.line}` : error.file
+  ));
+}
+
+/**
+ * Run every check
+ * @param {Object} paths - The tree file and content directory, by default
+ *   the site's own
+ * @returns {Promise<{ok, errors, warnings, issues}>}
+ */
+async function validateSite({ tree: treeFile = PATHS.tree, content: contentDir = PATHS.content } = {}) {
+  const issues = [];
+
+  let tree = null;
+  try {
+    tree = JSON.parse(await fs.readFile(treeFile, 'utf-8'));
+  } catch (error) {
+    issues.push(issue('error', 'tree-unreadable', error.message, path.relative(ROOT_DIR, treeFile)));
+  }
+
+  const contentFiles = (await fs.readdir(contentDir)).filter(f => f.endsWith('.md')).sort();
+  const contentSlugs = new Set(contentFiles.map(f => f.replace('.md', '')));
+
+  if (tree) {
+    issues.push(...await checkSchema(tree));
+    issues.push(...checkConsistency(tree, contentSlugs));
+  }
+  issues.push(...await checkFrontmatter(contentDir));
+
+  const errors = issues.filter(i => i.severity === 'error').length;
+  return {
+    ok: errors === 0,
+    errors,
+    warnings: issues.length - errors,
+    issues
+  };
+}
+
+/**
+ * Format a report for the terminal
+ */
+function formatReport(report) {
+  const lines = report.issues.map(i =>
+    `  ${i.severity === 'error' ? '✗' : '!'} [${i.code}] ${i.location}: ${i.message}`
+  );
+  lines.push(`\n${report.errors} error(s), ${report.warnings} warning(s)`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  validateSite,
+  formatReport
+};
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { validateSite, formatReport } = require('./validate');
+const { check } = require('../scripts/check');
+
+const validFile = title => `---\ntitle: ${title}\n---\n\nBody.\n`;
+
+/**
+ * Run a test body against a site with the given tree and content files
+ */
+async function withSite(tree, files, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'validate-'));
+  try {
+    const paths = { tree: path.join(dir, 'tree.json'), content: path.join(dir, 'content') };
+    await fs.writeFile(paths.tree, JSON.stringify(tree));
+    await fs.mkdir(paths.content);
+    for (const [name, contents] of Object.entries(files)) {
+      await fs.writeFile(path.join(paths.content, name), contents);
+    }
+    await fn(paths);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+function codes(report) {
+  return report.issues.map(({ severity, code, location }) => ({ severity, code, location }));
+}
+
+const tree = {
+  name: 'Root',
+  slug: 'about',
+  children: [
+    { name: 'Lamps', slug: 'lamps', children: null },
+    { name: 'Chairs', slug: 'chairs', children: null }
+  ]
+};
+
+const files = {
+  'about.md': validFile('About'),
+  'lamps.md': validFile('Lamps'),
+  'chairs.md': validFile('Chairs')
+};
+
+test('a consistent site has no issues', async () => {
+  await withSite(tree, files, async paths => {
+    assert.deepEqual(await validateSite(paths), { ok: true, errors: 0, warnings: 0, issues: [] });
+  });
+});
+
+test('reports slugs used by more than one node', async () => {
+  const duplicate = { ...tree, children: [...tree.children, { name: 'Stools', slug: 'chairs', children: null }] };
+  await withSite(duplicate, files, async paths => {
+    const report = await validateSite(paths);
+    assert.deepEqual(codes(report), [{ severity: 'error', code: 'duplicate-slug', location: 'Root > Stools' }]);
+    assert.equal(report.issues[0].message, 'Slug "chairs" is used by 2 nodes: Root > Chairs; Root > Stools');
+    assert.equal(report.ok, false);
+  });
+});
+
+test('reports nodes without a content file', async () => {
+  await withSite(tree, { 'about.md': files['about.md'], 'lamps.md': files['lamps.md'] }, async paths => {
+    const report = await validateSite(paths);
+    assert.deepEqual(codes(report), [{ severity: 'error', code: 'missing-file', location: 'Root > Chairs' }]);
+    assert.equal(report.issues[0].message, 'content/chairs.md does not exist');
+  });
+});
+
+test('warns about content files no node uses', async () => {
+  await withSite(tree, { ...files, 'drafts.md': validFile('Drafts') }, async paths => {
+    const report = await validateSite(paths);
+    assert.deepEqual(codes(report), [{ severity: 'warning', code: 'orphaned-file', location: 'content/drafts.md' }]);
+    assert.equal(report.ok, true);
+  });
+});
+
+test('reports invalid frontmatter with its line', async () => {
+  await withSite(tree, { ...files, 'lamps.md': '---\ntitle: Lamps\ndate: someday\n---\n' }, async paths => {
+    const report = await validateSite(paths);
+    assert.deepEqual(codes(report), [{ severity: 'error', code: 'frontmatter', location: 'content/lamps.md:3' }]);
+    assert.match(report.issues[0].message, /^date: /);
+  });
+});
+
+test('reports siblings sharing a URL segment and trees that do not match the schema', async () => {
+  const broken = {
+    ...tree,
+    children: [...tree.children, { name: 'lamps!', slug: 'lamps', children: null, color: 'red' }]
+  };
+  await withSite(broken, files, async paths => {
+    const report = await validateSite(paths);
+    assert.deepEqual(codes(report).map(item => item.code), ['schema', 'duplicate-sibling', 'duplicate-slug']);
+    assert.equal(report.issues[0].message, 'unknown property "color"');
+    assert.equal(report.issues[1].message, '"lamps!" and "Lamps" share the URL segment "lamps"');
+  });
+});
+
+test('formatReport lists issues and counts', async () => {
+  await withSite(tree, { ...files, 'drafts.md': validFile('Drafts') }, async paths => {
+    assert.equal(
+      formatReport(await validateSite(paths)),
+      '  ! [orphaned-file] content/drafts.md: Not referenced by any node, so it is unreachable\n\n0 error(s), 1 warning(s)'
+    );
+  });
+});
+
+test('check fails on errors, and on warnings with --strict', async t => {
+  const output = t.mock.method(console, 'log', () => {});
+
+  await withSite(tree, { ...files, 'drafts.md': validFile('Drafts') }, async paths => {
+    assert.equal(await check([], paths), 0);
+    assert.equal(await check(['--strict'], paths), 1);
+  });
+  await withSite(tree, { ...files, 'lamps.md': '---\n---\n' }, async paths => {
+    assert.equal(await check([], paths), 1);
+  });
+  await withSite(tree, files, async paths => {
+    assert.equal(await check(['--strict'], paths), 0);
+    assert.equal(output.mock.calls.at(-1).arguments[0], '✓ Tree and content are consistent.');
+  });
+});
+
+test('check --json prints the report and keeps the exit codes', async t => {
+  const output = t.mock.method(console, 'log', () => {});
+
+  await withSite(tree, { ...files, 'drafts.md': validFile('Drafts') }, async paths => {
+    assert.equal(await check(['--json'], paths), 0);
+    assert.equal(await check(['--json', '--strict'], paths), 1);
+    const report = JSON.parse(output.mock.calls.at(-1).arguments[0]);
+    assert.deepEqual(report, await validateSite(paths));
+  });
+});